@@ -0,0 +1,192 @@
+import { parseUpdateTokenArgs } from "./utils.js";
+
+const adapters = {};
+
+export function registerSensesAdapter(systemId, adapter) {
+    if (typeof adapter !== "function")
+        throw new Error(`Perfect Vision | Invalid senses adapter for system: ${systemId}`);
+
+    adapters[systemId] = adapter;
+}
+
+export function hasSensesAdapter() {
+    return !!adapters[game.system.id];
+}
+
+export function getActorSenses(token) {
+    const adapter = adapters[game.system.id];
+
+    if (!adapter)
+        return null;
+
+    let document;
+
+    if (isNewerVersion(game.data.version, "0.8")) {
+        document = token.document;
+    } else {
+        document = token;
+    }
+
+    if (document.getFlag("perfect-vision", "ignoreActorSenses"))
+        return null;
+
+    return getSensesOfActor(token.actor);
+}
+
+export function getSensesOfActor(actor) {
+    const adapter = adapters[game.system.id];
+
+    if (!adapter || !actor)
+        return null;
+
+    let senses;
+
+    try {
+        senses = adapter(actor);
+    } catch (e) {
+        console.error(e);
+    }
+
+    if (!senses)
+        return null;
+
+    const sanitize = value => {
+        value = parseFloat(value);
+        return Number.isNaN(value) ? undefined : Math.max(value, 0);
+    };
+
+    return {
+        dimSight: sanitize(senses.dimSight),
+        brightSight: sanitize(senses.brightSight),
+        blindsight: sanitize(senses.blindsight),
+        tremorsense: sanitize(senses.tremorsense),
+        truesight: sanitize(senses.truesight)
+    };
+}
+
+// Senses without a range have the system's default range
+function parseRange(value, defaultRange) {
+    if (value == null || value === "")
+        return defaultRange;
+
+    return parseFloat(value);
+}
+
+// Dim vision is darkvision
+registerSensesAdapter("dnd5e", function (actor) {
+    const senses = actor.data.data.attributes?.senses;
+
+    if (!senses)
+        return null;
+
+    return {
+        dimSight: senses.darkvision,
+        blindsight: senses.blindsight,
+        tremorsense: senses.tremorsense,
+        truesight: senses.truesight
+    };
+});
+
+// Bright vision is darkvision
+registerSensesAdapter("pf1", function (actor) {
+    const senses = actor.data.data.traits?.senses;
+
+    if (!senses)
+        return null;
+
+    return {
+        brightSight: senses.dv,
+        blindsight: senses.bs,
+        tremorsense: senses.ts,
+        truesight: senses.tr
+    };
+});
+
+// Dim vision is low-light vision, and bright vision is darkvision. Low-light vision and darkvision don't have a range
+// unless one is given, and tremorsense without a range is ignored.
+registerSensesAdapter("pf2e", function (actor) {
+    const senses = actor.data.data.traits?.senses;
+
+    if (!Array.isArray(senses))
+        return null;
+
+    let dimSight = 0;
+    let brightSight = 0;
+    let tremorsense = 0;
+
+    for (const sense of senses) {
+        switch (sense.type) {
+            case "lowLightVision":
+                dimSight = Math.max(dimSight, parseRange(sense.value, Infinity));
+                break;
+            case "darkvision":
+            case "greaterDarkvision":
+                brightSight = Math.max(brightSight, parseRange(sense.value, Infinity));
+                break;
+            case "tremorsense":
+                tremorsense = Math.max(tremorsense, parseRange(sense.value, 0));
+                break;
+        }
+    }
+
+    return { dimSight, brightSight, tremorsense };
+});
+
+// Dim vision is low-light vision, and bright vision is darkvision. Low-light vision doesn't have a range, and darkvision
+// without a range has the usual range of 60 feet.
+registerSensesAdapter("sfrpg", function (actor) {
+    const senses = actor.data.data.traits?.senses;
+
+    if (typeof senses !== "string")
+        return null;
+
+    const darkvision = senses.match(/darkvision\s*(\d+(?:\.\d+)?)?/i);
+    const lowLightVision = senses.match(/low[- ]light\s+vision/i);
+    const blindsight = senses.match(/blindsight[^,\d]*(\d+(?:\.\d+)?)/i);
+
+    return {
+        dimSight: lowLightVision ? Infinity : 0,
+        brightSight: darkvision ? parseRange(darkvision[1], 60) : 0,
+        blindsight: blindsight ? parseRange(blindsight[1], 0) : 0
+    };
+});
+
+export function refreshTokens(tokens) {
+    if (tokens.length === 0)
+        return;
+
+    for (const token of tokens) {
+        token.updateSource({ defer: true });
+    }
+
+    if (isNewerVersion(game.data.version, "0.8.1")) {
+        canvas.perception.schedule({
+            lighting: { refresh: true },
+            sight: { refresh: true, forceUpdateFog: tokens.some(token => token.hasLimitedVisionAngle) }
+        });
+    } else {
+        canvas.addPendingOperation("LightingLayer.refresh", canvas.lighting.refresh, canvas.lighting);
+        canvas.addPendingOperation("SightLayer.refresh", canvas.sight.refresh, canvas.sight, [{
+            forceUpdateFog: tokens.some(token => token.hasLimitedVisionAngle)
+        }]);
+    }
+}
+
+Hooks.on("updateActor", (actor, change) => {
+    if (!hasSensesAdapter() || !hasProperty(change, "data"))
+        return;
+
+    refreshTokens(actor.getActiveTokens());
+});
+
+Hooks.on("updateToken", (...args) => {
+    const { scene, change, id } = parseUpdateTokenArgs(...args);
+
+    if (!scene?.isView || !hasSensesAdapter() || !hasProperty(change, "actorData.data"))
+        return;
+
+    const token = canvas.tokens.get(id);
+
+    if (token)
+        refreshTokens([token]);
+});
@@ -0,0 +1,21 @@
+import { registerSensesAdapter } from "./actor.js";
+import { debugMask } from "./debug.js";
+import { registerStatusEffect } from "./effects.js";
+import { registerPreset } from "./presets.js";
+import { registerVisionShader } from "./shaders.js";
+import { getIlluminationAt, getIlluminationAtGridCell, getVisionAt } from "./visibility.js";
+
+export const api = {
+    debugMask,
+    getIlluminationAt,
+    getIlluminationAtGridCell,
+    getVisionAt,
+    registerPreset,
+    registerSensesAdapter,
+    registerStatusEffect,
+    registerVisionShader
+};
+
+Hooks.once("init", () => {
+    game.modules.get("perfect-vision").api = api;
+});
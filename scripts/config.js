@@ -1,6 +1,11 @@
+import { getSensesOfActor, hasSensesAdapter } from "./actor.js";
 import { extend } from "./extend.js";
+import { parseGradient, sampleGradient } from "./gradient.js";
+import { openSaveDialog } from "./lighting.js";
 import { patch } from "./patch.js";
-import { presets } from "./presets.js";
+import { bandChoices, convertLegacyRules, getLegacyRules, getPreset, getVisionBands, parseBands } from "./presets.js";
+import { parseSchedule } from "./schedule.js";
+import { senses } from "./senses.js";
 
 const renderConfigTemplate = Handlebars.compile(`\
     {{#*inline "settingPartial"}}
@@ -47,8 +52,153 @@ const renderConfigTemplate2 = Handlebars.compile(`\
     {{/each}}`
 );
 
+const renderBandsTemplate = Handlebars.compile(`\
+    <div class="form-group-stacked">
+        <label>Vision Bands:</label>
+        {{#each bands}}
+        <div class="form-fields" data-index="{{@index}}">
+            <select data-key="radius" title="Radius" {{#if @root.disabled}}disabled{{/if}}>
+                {{#select this.radius}}
+                {{#each @root.choices.radius as |name k|}}
+                <option value="{{k}}">{{name}}</option>
+                {{/each}}
+                {{/select}}
+            </select>
+            <input type="number" step="0.1" data-key="distance" value="{{this.distance}}" placeholder="Distance" title="Radius (Distance)"
+                {{#if @root.disabled}}disabled{{/if}} {{#unless this.distance}}style="display: none;"{{/unless}}/>
+            <select data-key="darkness" title="In Darkness" {{#if @root.disabled}}disabled{{/if}}>
+                {{#select this.darkness}}
+                {{#each @root.choices.darkness as |name k|}}
+                <option value="{{k}}">{{name}}</option>
+                {{/each}}
+                {{/select}}
+            </select>
+            <label class="checkbox" title="Dim light becomes bright light within this band">
+                Dim Light to Bright <input type="checkbox" data-key="dimToBright" {{checked this.dimToBright}} {{#if @root.disabled}}disabled{{/if}}/>
+            </label>
+            <label class="checkbox" title="Monochrome vision in darkness">
+                Monochrome <input type="checkbox" data-key="mono" {{checked this.mono}} {{#if @root.disabled}}disabled{{/if}}/>
+            </label>
+            {{#unless @root.disabled}}
+            <a data-action="remove" title="Remove Band"><i class="fas fa-trash"></i></a>
+            {{/unless}}
+        </div>
+        {{/each}}
+        {{#unless disabled}}
+        <button type="button" data-action="add"><i class="fas fa-plus"></i> Add Band</button>
+        {{/unless}}
+    </div>`
+);
+
+const renderScheduleTemplate = Handlebars.compile(`\
+    <div class="form-group">
+        <label>Day/Night Cycle</label>
+        <div class="form-fields">
+            <label class="checkbox">
+                <input type="checkbox" name="flags.perfect-vision.scheduleEnabled" data-dtype="Boolean" {{checked enabled}}>
+            </label>
+            <input type="text" name="flags.perfect-vision.schedule" value="{{schedule}}" data-dtype="String" style="display: none;">
+        </div>
+        <p class="notes">Change the Darkness Level, Saturation Level, and colors of the scene with the world time. The values are interpolated between the keyframes. The time of a keyframe is the hour of the day (0 to 24). The current hour is {{hour}}.</p>
+    </div>
+    <div class="form-group-stacked" data-schedule {{#unless enabled}}style="display: none;"{{/unless}}>
+        {{#each keyframes}}
+        <div class="form-fields" data-index="{{@index}}">
+            <input type="number" data-key="time" value="{{this.time}}" min="0" max="24" step="0.25" placeholder="Hour" title="Hour">
+            <input type="number" data-key="darkness" value="{{this.darkness}}" min="0" max="1" step="0.05" placeholder="Darkness" title="Darkness Level">
+            <input type="number" data-key="saturation" value="{{this.saturation}}" min="0" max="1" step="0.05" placeholder="Linked" title="Saturation Level">
+            <input type="text" data-key="daylightColor" value="{{this.daylightColor}}" placeholder="Daylight" title="Daylight Color">
+            <input type="text" data-key="darknessColor" value="{{this.darknessColor}}" placeholder="Darkness" title="Darkness Color">
+            <a data-action="remove" title="Remove Keyframe"><i class="fas fa-trash"></i></a>
+        </div>
+        {{/each}}
+        <button type="button" data-action="add"><i class="fas fa-plus"></i> Add Keyframe</button>
+    </div>`
+);
+
+const renderGradientTemplate = Handlebars.compile(`\
+    <div class="form-group">
+        <label>Color Gradient</label>
+        <div class="form-fields">
+            <div data-gradient-preview style="flex: 1; height: 24px; border: 1px solid #7a7971; border-radius: 3px; background: {{background}};"></div>
+            <input type="text" name="flags.perfect-vision.colorGradient" value="{{gradient}}" data-dtype="String" style="display: none;">
+        </div>
+        <p class="notes">Overrides the Daylight and Darkness Colors with a gradient of colors by Darkness Level. Without stops, the scene is colored by the Daylight and Darkness Colors.</p>
+    </div>
+    <div class="form-group-stacked">
+        {{#each stops}}
+        <div class="form-fields" data-index="{{@index}}">
+            <input type="number" data-key="level" value="{{this.level}}" min="0" max="1" step="0.05" placeholder="Darkness Level" title="Darkness Level">
+            <input type="text" data-key="color" value="{{this.color}}" data-dtype="String" title="Color">
+            <input type="color" data-key="picker" value="{{this.color}}">
+            <a data-action="remove" title="Remove Stop"><i class="fas fa-trash"></i></a>
+        </div>
+        {{/each}}
+        <button type="button" data-action="add"><i class="fas fa-plus"></i> Add Stop</button>
+    </div>`
+);
+
+// Creates the editor of a list of items that are stored as JSON in a hidden input. Each item is rendered as a row with
+// `data-index`, whose inputs have a `data-key` and are read into the item with `readItem`.
+function createListEditor(sheet, { items, input, template, getData, readItem, createItem, onSave }) {
+    const element = $(`<div></div>`);
+
+    const editor = {
+        element,
+        items,
+        render() {
+            element.html(template(getData(editor.items), {
+                allowProtoMethodsByDefault: true,
+                allowProtoPropertiesByDefault: true
+            }));
+
+            if (!sheet._minimized)
+                sheet.setPosition(sheet.position);
+        },
+        save() {
+            input().val(JSON.stringify(editor.items)).trigger("change");
+
+            if (onSave)
+                onSave();
+        }
+    };
+
+    element.on("change", "[data-key]", event => {
+        event.stopPropagation();
+
+        const row = $(event.currentTarget).closest("[data-index]");
+
+        readItem(editor.items[Number(row.data("index"))], row, event);
+
+        editor.save();
+    });
+
+    element.on("click", `[data-action="add"]`, event => {
+        event.preventDefault();
+
+        editor.items.push(createItem());
+
+        editor.render();
+        editor.save();
+    });
+
+    element.on("click", `[data-action="remove"]`, event => {
+        event.preventDefault();
+
+        editor.items.splice(Number($(event.currentTarget).closest("[data-index]").data("index")), 1);
+
+        editor.render();
+        editor.save();
+    });
+
+    element.on("change", "input[name]", sheet._onChangeInput.bind(sheet));
+
+    return editor;
+}
+
 function renderConfig(sheet, html, data) {
     let document;
+    let scene;
     let prefix = "perfect-vision";
 
     const settings = Array.from(game.settings.settings.values()).filter(
@@ -58,14 +208,18 @@ function renderConfig(sheet, html, data) {
         document = sheet.token;
         prefix = `flags.${prefix}`;
 
+        if (isNewerVersion(game.data.version, "0.8")) {
+            scene = document.parent;
+        } else {
+            scene = document.scene;
+        }
+
         const config = renderConfigTemplate({
             settings: settings.filter(s => [
                 "visionRules",
-                "dimVisionInDarkness",
-                "dimVisionInDimLight",
-                "brightVisionInDarkness",
-                "brightVisionInDimLight",
-                "monoVisionColor"
+                "visionBands",
+                "monoVisionColor",
+                "monoVisionStyle"
             ].includes(s.key)).map(setting => {
                 const s = duplicate(setting);
                 s.name = game.i18n.localize(s.name);
@@ -80,6 +234,13 @@ function renderConfig(sheet, html, data) {
                     s.choices = mergeObject({ "default": "Default" }, s.choices);
                     s.default = "default";
                     s.value = document.getFlag(s.module, s.key) ?? "default";
+                } else if (s.key === "visionBands") {
+                    const bands = parseBands(document.getFlag(s.module, s.key));
+                    s.value = bands ? JSON.stringify(bands) : "";
+                } else if (s.key === "monoVisionStyle") {
+                    s.choices = mergeObject({ "default": `Default (${s.choices[game.settings.get(s.module, s.key)]})` }, s.choices);
+                    s.default = "default";
+                    s.value = document.getFlag(s.module, s.key) ?? "default";
                 } else {
                     s.value = document.getFlag(s.module, s.key);
                 }
@@ -109,8 +270,118 @@ function renderConfig(sheet, html, data) {
 
         html.find(`input[name="sightAngle"]`).parent().before(config2);
         $(config2).on("change", "input,select,textarea", sheet._onChangeInput.bind(sheet));
+
+        const config4 = renderConfigTemplate2({
+            settings: Object.entries(senses).map(([key, { name }]) => ({
+                module: "perfect-vision",
+                key,
+                value: document.getFlag("perfect-vision", key),
+                name,
+                units: "Distance"
+            }))
+        }, {
+            allowProtoMethodsByDefault: true,
+            allowProtoPropertiesByDefault: true
+        });
+
+        html.find(`input[name="sightAngle"]`).parent().before(config4);
+        $(config4).on("change", "input,select,textarea", sheet._onChangeInput.bind(sheet));
+
+        const config5 = renderConfigTemplate({
+            settings: [{
+                module: "perfect-vision",
+                key: "piercesMagicalDarkness",
+                value: document.getFlag("perfect-vision", "piercesMagicalDarkness"),
+                name: "See in Magical Darkness",
+                isCheckbox: true
+            }]
+        }, {
+            allowProtoMethodsByDefault: true,
+            allowProtoPropertiesByDefault: true
+        });
+
+        html.find(`input[name="sightAngle"]`).parent().before(config5);
+        $(config5).on("change", "input,select,textarea", sheet._onChangeInput.bind(sheet));
+
+        const actorSenses = !document.getFlag("perfect-vision", "ignoreActorSenses") ? getSensesOfActor(sheet.actor ?? document.actor) : null;
+
+        for (const key of Object.keys(senses)) {
+            if (actorSenses?.[key] !== undefined)
+                html.find(`input[name="${prefix}.${key}"]`).attr("placeholder", `Actor (${actorSenses[key]})`).prop("disabled", true);
+            else
+                html.find(`input[name="${prefix}.${key}"]`).attr("placeholder", "None");
+        }
+
+        if (hasSensesAdapter()) {
+            const config3 = renderConfigTemplate({
+                settings: [{
+                    module: "perfect-vision",
+                    key: "ignoreActorSenses",
+                    value: document.getFlag("perfect-vision", "ignoreActorSenses"),
+                    name: "Ignore Actor Senses",
+                    isCheckbox: true
+                }]
+            }, {
+                allowProtoMethodsByDefault: true,
+                allowProtoPropertiesByDefault: true
+            });
+
+            html.find(`input[name="brightSight"]`).parent().after(config3);
+            $(config3).on("change", "input,select,textarea", sheet._onChangeInput.bind(sheet));
+        }
+    } else if (sheet instanceof SceneConfig) {
+        document = sheet.object;
+        prefix = `flags.${prefix}`;
+
+        const config = renderConfigTemplate({
+            settings: settings.filter(s => [
+                "visionRules",
+                "visionBands"
+            ].includes(s.key)).map(setting => {
+                const s = duplicate(setting);
+                s.name = game.i18n.localize(s.name);
+                s.hint = game.i18n.localize(s.hint);
+                s.type = setting.type instanceof Function ? setting.type.name : "String";
+                s.isSelect = s.choices !== undefined;
+
+                if (s.key === "visionRules") {
+                    s.choices = mergeObject({ "default": "Default" }, s.choices);
+                    s.default = "default";
+                    s.value = document.getFlag(s.module, s.key) ?? "default";
+                } else if (s.key === "visionBands") {
+                    const bands = parseBands(document.getFlag(s.module, s.key));
+                    s.value = bands ? JSON.stringify(bands) : "";
+                } else {
+                    s.value = document.getFlag(s.module, s.key);
+                }
+
+                return s;
+            })
+        }, {
+            allowProtoMethodsByDefault: true,
+            allowProtoPropertiesByDefault: true
+        });
+
+        html.find(`input[name="tokenVision"]`).parent().after(config);
+        $(config).on("change", "input,select,textarea", sheet._onChangeInput.bind(sheet));
     } else {
         console.assert(sheet instanceof SettingsConfig);
+
+        const inputTint = html.find(`input[name="${prefix}.improvedGMVisionTint"]`);
+
+        if (game.user.isGM) {
+            const colorInput = window.document.createElement("input");
+            colorInput.setAttribute("type", "color");
+            colorInput.setAttribute("value", inputTint.val() || "#ffffff");
+            colorInput.setAttribute("data-edit", `${prefix}.improvedGMVisionTint`);
+
+            inputTint.attr("placeholder", "Darkness Color").after(colorInput);
+            $(colorInput).on("change", sheet._onChangeInput.bind(sheet));
+        } else {
+            // Improved GM Vision is for the GM only
+            inputTint.parents(".form-group").first().hide();
+            html.find(`input[name="${prefix}.improvedGMVisionStrength"]`).parents(".form-group").first().hide();
+        }
     }
 
     const colorInput = window.document.createElement("input");
@@ -121,7 +392,16 @@ function renderConfig(sheet, html, data) {
     html.find(`input[name="${prefix}.monoVisionColor"]`).after(colorInput)
     $(colorInput).on("change", sheet._onChangeInput.bind(sheet));
 
-    const defaultVisionRules = settings.find(s => s.key === "visionRules").choices[game.settings.get("perfect-vision", "visionRules")];
+    let defaultVisionRules = game.settings.get("perfect-vision", "visionRules");
+
+    if (scene) {
+        const sceneVisionRules = scene.getFlag("perfect-vision", "visionRules");
+
+        if (sceneVisionRules && sceneVisionRules !== "default")
+            defaultVisionRules = sceneVisionRules;
+    }
+
+    defaultVisionRules = settings.find(s => s.key === "visionRules").choices[defaultVisionRules];
 
     html.find(`select[name="${prefix}.visionRules"] > option[value="default"]`).html(`Default (${defaultVisionRules})`);
 
@@ -134,14 +414,6 @@ function renderConfig(sheet, html, data) {
         inputMonochromeVisionColor.attr("placeholder", `#ffffff`);
 
     if (sheet instanceof TokenConfig) {
-        let scene;
-
-        if (isNewerVersion(game.data.version, "0.8")) {
-            scene = document.parent;
-        } else {
-            scene = document.scene;
-        }
-
         if (scene) {
             const defaultSightLimit = scene.getFlag("perfect-vision", "sightLimit");
             html.find(`input[name="${prefix}.sightLimit"]`).attr("placeholder", `Scene Default (${defaultSightLimit ?? "Unlimited"})`);
@@ -150,47 +422,75 @@ function renderConfig(sheet, html, data) {
         }
     }
 
+    const inputBands = html.find(`input[name="${prefix}.visionBands"]`);
+
+    let bandsDisabled = false;
+
+    const bandsEditor = createListEditor(sheet, {
+        items: parseBands(inputBands.val()) ?? convertLegacyRules(getLegacyRules(document ?? null)),
+        input: () => inputBands,
+        template: renderBandsTemplate,
+        getData: bands => ({
+            bands: bands.map(band => ({
+                ...band,
+                radius: typeof band.radius === "number" ? "distance" : band.radius,
+                distance: typeof band.radius === "number" ? String(band.radius) : ""
+            })),
+            choices: bandChoices,
+            disabled: bandsDisabled
+        }),
+        readItem: (band, row) => {
+            const radius = row.find(`[data-key="radius"]`).val();
+            const distance = row.find(`[data-key="distance"]`);
+
+            if (radius === "distance") {
+                band.radius = Math.max(parseFloat(distance.val()) || 0, 0);
+                distance.val(band.radius).show();
+            } else {
+                band.radius = radius;
+                distance.val("").hide();
+            }
+
+            band.darkness = row.find(`[data-key="darkness"]`).val();
+            band.dimToBright = row.find(`[data-key="dimToBright"]`).prop("checked");
+            band.mono = row.find(`[data-key="mono"]`).prop("checked");
+        },
+        createItem: () => ({ radius: "dim", darkness: "dim", dimToBright: false, mono: false })
+    });
+
+    inputBands.parents(".form-group").first().hide().after(bandsEditor.element);
+
     const update = () => {
         let visionRules = html.find(`select[name="${prefix}.visionRules"]`).val();
 
         if (!visionRules)
             return;
 
-        html.find(`select[name="${prefix}.dimVisionInDarkness"]`).prop("disabled", visionRules !== "custom");
-        html.find(`select[name="${prefix}.dimVisionInDimLight"]`).prop("disabled", visionRules !== "custom");
-        html.find(`select[name="${prefix}.brightVisionInDarkness"]`).prop("disabled", visionRules !== "custom");
-        html.find(`select[name="${prefix}.brightVisionInDimLight"]`).prop("disabled", visionRules !== "custom");
+        let bands;
 
-        if (sheet instanceof TokenConfig) {
-            if (visionRules !== "custom") {
-                html.find(`select[name="${prefix}.dimVisionInDarkness"]`).parents(".form-group").hide();
-                html.find(`select[name="${prefix}.dimVisionInDimLight"]`).parents(".form-group").hide();
-                html.find(`select[name="${prefix}.brightVisionInDarkness"]`).parents(".form-group").hide();
-                html.find(`select[name="${prefix}.brightVisionInDimLight"]`).parents(".form-group").hide();
-            } else {
-                html.find(`select[name="${prefix}.dimVisionInDarkness"]`).parents(".form-group").show();
-                html.find(`select[name="${prefix}.dimVisionInDimLight"]`).parents(".form-group").show();
-                html.find(`select[name="${prefix}.brightVisionInDarkness"]`).parents(".form-group").show();
-                html.find(`select[name="${prefix}.brightVisionInDimLight"]`).parents(".form-group").show();
-            }
+        if (visionRules === "default") {
+            bands = getVisionBands(scene);
+        } else if (visionRules !== "custom") {
+            bands = getPreset(visionRules).bands;
+        } else {
+            // Start with the bands of the previously selected rules
+            bands = parseBands(inputBands.val()) ?? bandsEditor.items ?? getVisionBands(scene);
         }
 
-        if (visionRules === "default") {
-            visionRules = game.settings.get("perfect-vision", "visionRules");
+        bandsEditor.items = duplicate(bands);
 
-            if (visionRules === "custom") {
-                html.find(`select[name="${prefix}.dimVisionInDarkness"]`).val(game.settings.get("perfect-vision", "dimVisionInDarkness"));
-                html.find(`select[name="${prefix}.dimVisionInDimLight"]`).val(game.settings.get("perfect-vision", "dimVisionInDimLight"));
-                html.find(`select[name="${prefix}.brightVisionInDarkness"]`).val(game.settings.get("perfect-vision", "brightVisionInDarkness"));
-                html.find(`select[name="${prefix}.brightVisionInDimLight"]`).val(game.settings.get("perfect-vision", "brightVisionInDimLight"));
-            }
-        }
+        if (visionRules === "custom" && !inputBands.val())
+            bandsEditor.save();
+
+        bandsDisabled = visionRules !== "custom";
+        bandsEditor.render();
 
-        if (visionRules !== "custom") {
-            html.find(`select[name="${prefix}.dimVisionInDarkness"]`).val(presets[visionRules].dimVisionInDarkness);
-            html.find(`select[name="${prefix}.dimVisionInDimLight"]`).val(presets[visionRules].dimVisionInDimLight);
-            html.find(`select[name="${prefix}.brightVisionInDarkness"]`).val(presets[visionRules].brightVisionInDarkness);
-            html.find(`select[name="${prefix}.brightVisionInDimLight"]`).val(presets[visionRules].brightVisionInDimLight);
+        if (sheet instanceof TokenConfig || sheet instanceof SceneConfig) {
+            if (visionRules !== "custom") {
+                bandsEditor.element.hide();
+            } else {
+                bandsEditor.element.show();
+            }
         }
 
         const inputMonochromeVisionColor = html.find(`input[name="${prefix}.monoVisionColor"]`);
@@ -210,6 +510,8 @@ Hooks.on("renderSettingsConfig", renderConfig);
 
 Hooks.on("renderTokenConfig", renderConfig);
 
+Hooks.on("renderSceneConfig", renderConfig);
+
 Hooks.on("renderSceneConfig", (sheet, html, data) => {
     const document = sheet.object;
 
@@ -323,6 +625,131 @@ Hooks.on("renderSceneConfig", (sheet, html, data) => {
     addColorSetting("daylightColor", "Daylight Color");
     addColorSetting("darknessColor", "Darkness Color");
 
+    const gradientBackground = stops => {
+        const sorted = parseGradient(stops);
+
+        if (!sorted)
+            return "transparent";
+
+        return `linear-gradient(to right, ${sorted.map(stop => `${stop.color} ${stop.level * 100}%`).join(", ")})`;
+    };
+
+    const gradientEditor = createListEditor(sheet, {
+        items: parseGradient(document.getFlag("perfect-vision", "colorGradient")) ?? [],
+        input: () => gradientEditor.element.find(`input[name="flags.perfect-vision.colorGradient"]`),
+        template: renderGradientTemplate,
+        getData: stops => ({
+            gradient: JSON.stringify(stops),
+            stops,
+            background: gradientBackground(stops)
+        }),
+        readItem: (stop, row, event) => {
+            if (event.currentTarget.dataset.key === "picker")
+                row.find(`[data-key="color"]`).val(event.currentTarget.value);
+
+            const color = row.find(`[data-key="color"]`).val();
+
+            stop.level = Math.clamped(parseFloat(row.find(`[data-key="level"]`).val()) || 0, 0, 1);
+
+            if (/^#[0-9a-f]{6}$/i.test(color)) {
+                stop.color = color.toLowerCase();
+                row.find(`[data-key="picker"]`).val(stop.color);
+            }
+        },
+        createItem: () => {
+            const level = Number(sheet.form.elements["darkness"].value);
+            const sorted = parseGradient(gradientEditor.items);
+
+            return {
+                level,
+                color: "#" + ("000000" + rgbToHex(sorted ? sampleGradient(sorted, level) : [1, 1, 1]).toString(16)).slice(-6)
+            };
+        },
+        onSave: () => {
+            gradientEditor.element.find("[data-gradient-preview]").css("background", gradientBackground(gradientEditor.items));
+
+            if (!document.isView)
+                return;
+
+            const lighting_ = extend(canvas.lighting);
+
+            lighting_.colorGradient = gradientEditor.items;
+
+            canvas.lighting.refresh(Number(sheet.form.elements["darkness"].value));
+
+            lighting_.colorGradient = undefined;
+        }
+    });
+
+    html.find(`input[name="darkness"]`).parent().parent().before(gradientEditor.element);
+
+    gradientEditor.render();
+
+    const scheduleEditor = createListEditor(sheet, {
+        items: parseSchedule(document.getFlag("perfect-vision", "schedule")) ?? [],
+        input: () => scheduleEditor.element.find(`input[name="flags.perfect-vision.schedule"]`),
+        template: renderScheduleTemplate,
+        getData: keyframes => ({
+            enabled: !!(scheduleEditor.element.find(`input[name="flags.perfect-vision.scheduleEnabled"]`).prop("checked")
+                ?? document.getFlag("perfect-vision", "scheduleEnabled")),
+            schedule: JSON.stringify(keyframes),
+            keyframes: keyframes.map(keyframe => ({
+                ...keyframe,
+                saturation: keyframe.saturation ?? "",
+                daylightColor: keyframe.daylightColor ?? "",
+                darknessColor: keyframe.darknessColor ?? ""
+            })),
+            hour: (((game.time?.worldTime ?? 0) % 86400 + 86400) % 86400 / 3600).toFixed(2)
+        }),
+        readItem: (keyframe, row) => {
+            const number = key => parseFloat(row.find(`[data-key="${key}"]`).val());
+            const color = key => row.find(`[data-key="${key}"]`).val() || null;
+
+            keyframe.time = Math.clamped(number("time") || 0, 0, 24);
+            keyframe.darkness = Math.clamped(number("darkness") || 0, 0, 1);
+            keyframe.saturation = Number.isNaN(number("saturation")) ? null : Math.clamped(number("saturation"), 0, 1);
+            keyframe.daylightColor = color("daylightColor");
+            keyframe.darknessColor = color("darknessColor");
+        },
+        createItem: () => ({
+            time: Math.round((((game.time?.worldTime ?? 0) % 86400 + 86400) % 86400) / 900) / 4,
+            darkness: Number(sheet.form.elements["darkness"].value),
+            saturation: null,
+            daylightColor: null,
+            darknessColor: null
+        })
+    });
+
+    html.find(`input[name="darkness"]`).parent().parent().after(scheduleEditor.element);
+
+    scheduleEditor.element.on("change", `input[name="flags.perfect-vision.scheduleEnabled"]`, event => {
+        scheduleEditor.element.find("[data-schedule]").toggle(event.currentTarget.checked);
+
+        if (!sheet._minimized)
+            sheet.setPosition(sheet.position);
+    });
+
+    scheduleEditor.render();
+
+    if (game.user.isGM) {
+        const savePreset = $(`\
+            <div class="form-group">
+                <label>Lighting Preset</label>
+                <div class="form-fields">
+                    <button type="button" data-action="save-lighting-preset"><i class="fas fa-save"></i> Save as Lighting Preset</button>
+                </div>
+                <p class="notes">Save the lighting of this scene as a preset, which can be applied to other scenes from the context menu of the Scenes directory.</p>
+            </div>`);
+
+        scheduleEditor.element.after(savePreset);
+
+        savePreset.on("click", `[data-action="save-lighting-preset"]`, event => {
+            event.preventDefault();
+
+            openSaveDialog(expandObject(sheet._getSubmitData()));
+        });
+    }
+
     if (!sheet._minimized)
         sheet.setPosition(sheet.position);
 });
@@ -338,6 +765,9 @@ Hooks.once("init", () => {
                 lighting_.saturation = 1 - Number(this.form.elements["darkness"].value);
             }
 
+            // Preview the unsaved color gradient while the Darkness Level is changed
+            lighting_.colorGradient = this.form.elements["flags.perfect-vision.colorGradient"]?.value ?? undefined;
+
             const retVal = wrapped(event);
 
             const rng = event.target;
@@ -349,6 +779,7 @@ Hooks.once("init", () => {
             }
 
             lighting_.saturation = undefined;
+            lighting_.colorGradient = undefined;
 
             return retVal;
         });
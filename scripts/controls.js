@@ -15,6 +15,14 @@ Hooks.on("getSceneControlButtons", controls => {
             active: !!game.settings.get("perfect-vision", "improvedGMVision"),
             visible: game.user.isGM,
             onClick: toggled => game.settings.set("perfect-vision", "improvedGMVision", toggled),
+        }, {
+            name: "perfect-vision.lightingOverlay",
+            title: "Lighting Overlay",
+            icon: "fas fa-layer-group",
+            toggle: true,
+            active: !!game.settings.get("perfect-vision", "lightingOverlay"),
+            visible: game.user.isGM,
+            onClick: toggled => game.settings.set("perfect-vision", "lightingOverlay", toggled),
         });
     }
 });
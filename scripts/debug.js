@@ -0,0 +1,167 @@
+import { stencil, texture } from "./mask.js";
+
+const options = {
+    mono: true,
+    color: true,
+    dimToBright: true,
+    los: true,
+    opacity: 0.5
+};
+
+const renderDebuggerTemplate = Handlebars.compile(`\
+    <form>
+        <div class="form-group">
+            <label>Mono (Green):</label>
+            <input type="checkbox" name="mono" data-dtype="Boolean" {{checked mono}}/>
+        </div>
+        <div class="form-group">
+            <label>Color (Red):</label>
+            <input type="checkbox" name="color" data-dtype="Boolean" {{checked color}}/>
+        </div>
+        <div class="form-group">
+            <label>Dim to Bright (Blue):</label>
+            <input type="checkbox" name="dimToBright" data-dtype="Boolean" {{checked dimToBright}}/>
+        </div>
+        <div class="form-group">
+            <label>Line-of-Sight Stencil (White):</label>
+            <input type="checkbox" name="los" data-dtype="Boolean" {{checked los}}/>
+        </div>
+        <div class="form-group">
+            <label>Opacity:</label>
+            <input type="range" name="opacity" data-dtype="Number" value="{{opacity}}" min="0" max="1" step="0.05"/>
+            <span class="range-value">{{opacity}}</span>
+        </div>
+    </form>`
+);
+
+class ChannelFilter extends PIXI.Filter {
+    constructor() {
+        super(undefined, `\
+            precision mediump float;
+
+            varying vec2 vTextureCoord;
+
+            uniform sampler2D uSampler;
+            uniform vec3 uChannels;
+            uniform float uOpacity;
+
+            void main(void)
+            {
+                vec3 color = texture2D(uSampler, vTextureCoord).rgb * uChannels;
+                gl_FragColor = vec4(color, max(max(color.r, color.g), color.b)) * uOpacity;
+            }`
+        );
+
+        this.uniforms.uChannels = new Float32Array(3);
+        this.uniforms.uOpacity = 1.0;
+    }
+}
+
+let overlay = null;
+
+function createOverlay() {
+    const overlay = new PIXI.Container();
+
+    overlay.stencil = overlay.addChild(new PIXI.Graphics(stencil.geometry));
+    overlay.channels = overlay.addChild(new PIXI.Sprite(texture));
+    overlay.channels.filters = [new ChannelFilter()];
+
+    return overlay;
+}
+
+// The mask texture is in screen space, but the stencil is in canvas space
+function updateOverlay() {
+    if (!overlay || !canvas?.ready)
+        return;
+
+    const stage = canvas.stage;
+
+    overlay.stencil.position.copyFrom(stage.position);
+    overlay.stencil.pivot.copyFrom(stage.pivot);
+    overlay.stencil.scale.copyFrom(stage.scale);
+    overlay.stencil.skew.copyFrom(stage.skew);
+    overlay.stencil.rotation = stage.rotation;
+    overlay.stencil.visible = options.los;
+    overlay.stencil.alpha = options.opacity * 0.5;
+
+    const uniforms = overlay.channels.filters[0].uniforms;
+
+    uniforms.uChannels[0] = options.color ? 1 : 0;
+    uniforms.uChannels[1] = options.mono ? 1 : 0;
+    uniforms.uChannels[2] = options.dimToBright ? 1 : 0;
+    uniforms.uOpacity = options.opacity;
+}
+
+function showOverlay() {
+    if (overlay || !canvas?.ready)
+        return;
+
+    overlay = canvas.app.stage.addChild(createOverlay());
+
+    canvas.app.ticker.add(updateOverlay, globalThis, PIXI.UPDATE_PRIORITY.UTILITY);
+}
+
+function hideOverlay() {
+    if (!overlay)
+        return;
+
+    canvas.app.ticker.remove(updateOverlay, globalThis);
+
+    overlay.parent?.removeChild(overlay);
+    overlay.destroy({ children: true });
+    overlay = null;
+}
+
+export class MaskDebugger extends FormApplication {
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "perfect-vision-mask-debugger",
+            title: "Perfect Vision: Mask Debugger",
+            width: 320,
+            submitOnChange: true,
+            closeOnSubmit: false
+        });
+    }
+
+    getData() {
+        return { ...options };
+    }
+
+    async _renderInner(data) {
+        return $(renderDebuggerTemplate(data));
+    }
+
+    async _render(...args) {
+        await super._render(...args);
+
+        showOverlay();
+    }
+
+    async _updateObject(event, formData) {
+        mergeObject(options, formData);
+    }
+
+    async close(...args) {
+        hideOverlay();
+
+        return super.close(...args);
+    }
+}
+
+export function debugMask() {
+    if (!game.user.isGM)
+        throw new Error("Perfect Vision | Only the GM can debug the mask");
+
+    return new MaskDebugger().render(true);
+}
+
+Hooks.once("init", () => {
+    game.settings.registerMenu("perfect-vision", "maskDebugger", {
+        name: "Mask Debugger",
+        label: "Open Mask Debugger",
+        hint: "Renders the channels of the mask live on the canvas: monochrome vision (green), color vision (red), dim to bright (blue), and the line-of-sight stencil (white).",
+        icon: "fas fa-bug",
+        type: MaskDebugger,
+        restricted: true
+    });
+});
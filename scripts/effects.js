@@ -0,0 +1,150 @@
+import { refreshTokens } from "./actor.js";
+import { parseUpdateTokenArgs } from "./utils.js";
+
+const statusEffects = {};
+
+export function registerStatusEffect(statusId, flags) {
+    if (typeof statusId !== "string" || !statusId || typeof flags !== "object" || flags === null)
+        throw new Error(`Perfect Vision | Invalid status effect: ${statusId}`);
+
+    statusEffects[statusId] = { ...flags };
+}
+
+// The vision conditions of the core status effects
+registerStatusEffect("blind", { sightLimit: 0 });
+registerStatusEffect("unconscious", { sightLimit: 0 });
+registerStatusEffect("sleep", { sightLimit: 0 });
+registerStatusEffect("dead", { sightLimit: 0 });
+
+function hasStatusEffect(token, statusId) {
+    const actor = token.actor;
+
+    if (actor?.effects.some(effect => !effect.data.disabled && effect.getFlag("core", "statusId") === statusId))
+        return true;
+
+    const icon = CONFIG.statusEffects.find(effect => effect.id === statusId)?.icon;
+
+    return !!icon && !!token.data.effects?.includes(icon);
+}
+
+function parseValue(value) {
+    if (typeof value !== "string")
+        return value;
+
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+function applyChange(current, change) {
+    const value = parseValue(change.value);
+
+    switch (change.mode) {
+        case CONST.ACTIVE_EFFECT_MODES.MULTIPLY:
+            return Number(current ?? 0) * Number(value);
+        case CONST.ACTIVE_EFFECT_MODES.ADD:
+            return Number(current ?? 0) + Number(value);
+        case CONST.ACTIVE_EFFECT_MODES.DOWNGRADE:
+            return current == null || current === "" ? value : Math.min(Number(current), Number(value));
+        case CONST.ACTIVE_EFFECT_MODES.UPGRADE:
+            return current == null || current === "" ? value : Math.max(Number(current), Number(value));
+        case CONST.ACTIVE_EFFECT_MODES.OVERRIDE:
+            return value;
+        default:
+            return current;
+    }
+}
+
+function getOverrides(token, document, scene) {
+    let overrides = null;
+
+    for (const [statusId, flags] of Object.entries(statusEffects)) {
+        if (hasStatusEffect(token, statusId)) {
+            overrides = Object.assign(overrides ?? {}, flags);
+        }
+    }
+
+    const actor = token.actor;
+
+    if (!actor)
+        return overrides;
+
+    const changes = [];
+
+    for (const effect of actor.effects) {
+        if (effect.data.disabled || effect.isSuppressed)
+            continue;
+
+        for (const change of effect.data.changes) {
+            if (change.key?.startsWith("flags.perfect-vision."))
+                changes.push(change);
+        }
+    }
+
+    changes.sort((a, b) => (a.priority ?? a.mode * 10) - (b.priority ?? b.mode * 10));
+
+    for (const change of changes) {
+        const key = change.key.slice("flags.perfect-vision.".length);
+
+        overrides = overrides ?? {};
+
+        let current;
+
+        if (key in overrides) {
+            current = overrides[key];
+        } else {
+            current = document.getFlag("perfect-vision", key) ?? scene?.getFlag("perfect-vision", key);
+        }
+
+        overrides[key] = applyChange(current, change);
+    }
+
+    return overrides;
+}
+
+export function getEffectiveDocument(token, document, scene) {
+    const overrides = getOverrides(token, document, scene);
+
+    if (!overrides)
+        return document;
+
+    return {
+        getFlag(scope, key) {
+            if (scope === "perfect-vision" && key in overrides)
+                return overrides[key];
+
+            return document.getFlag(scope, key);
+        }
+    };
+}
+
+function refreshActor(actor) {
+    if (actor)
+        refreshTokens(actor.getActiveTokens());
+}
+
+function onActiveEffect(arg) {
+    if (isNewerVersion(game.data.version, "0.8")) {
+        refreshActor(arg.parent);
+    } else {
+        refreshActor(arg);
+    }
+}
+
+Hooks.on("createActiveEffect", onActiveEffect);
+Hooks.on("updateActiveEffect", onActiveEffect);
+Hooks.on("deleteActiveEffect", onActiveEffect);
+
+Hooks.on("updateToken", (...args) => {
+    const { scene, change, id } = parseUpdateTokenArgs(...args);
+
+    if (!scene?.isView || !("effects" in change || hasProperty(change, "actorData.effects")))
+        return;
+
+    const token = canvas.tokens.get(id);
+
+    if (token)
+        refreshTokens([token]);
+});
@@ -1,17 +1,19 @@
 import { extend } from "./extend.js";
-import { texture, BaseFilter, Filter as MaskFilter } from "./mask.js";
+import { monoVisionStyles, texture, styleTexture, tintTexture, BaseFilter, Filter as MaskFilter } from "./mask.js";
 import { patch } from "./patch.js";
+import { compileFragmentShader, visionShaders, visionShadersVersion } from "./shaders.js";
 
-class MonoFilter extends BaseFilter {
-    constructor(...args) {
-        super(
-            `\
+// The custom vision shaders are functions of the color, luminance, mask, and tint that return the color of monochrome vision
+function createMonoFragmentSource(shaders = []) {
+    return `\
             precision mediump float;
 
             uniform sampler2D uSampler;
             uniform sampler2D uMask;
-            uniform vec3 uTint;
+            uniform sampler2D uTintMask;
+            uniform sampler2D uStyleMask;
             uniform float uSaturation;
+            uniform float uTime;
 
             varying vec2 vTextureCoord;
             varying vec2 vMaskCoord;
@@ -48,6 +50,56 @@ class MonoFilter extends BaseFilter {
                 );
             }
 
+            vec3 thermal(float y)
+            {
+                float t = rgb2srgb(vec3(y)).x;
+                vec3 c = mix(vec3(0.0, 0.0, 0.25), vec3(0.5, 0.0, 0.75), smoothstep(0.0, 0.25, t));
+                c = mix(c, vec3(0.9, 0.1, 0.2), smoothstep(0.25, 0.5, t));
+                c = mix(c, vec3(1.0, 0.6, 0.0), smoothstep(0.5, 0.75, t));
+                c = mix(c, vec3(1.0, 1.0, 0.8), smoothstep(0.75, 1.0, t));
+                return srgb2rgb(c);
+            }
+
+            float noise(vec2 p)
+            {
+                return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+            }
+
+            vec3 nightVision(float y)
+            {
+                float v = 1.0 - pow(1.0 - y, 3.0);
+                v += (noise(gl_FragCoord.xy + uTime * 37.0) - 0.5) * 0.15;
+                v *= 1.0 - 0.8 * smoothstep(0.35, 0.75, length(vMaskCoord - 0.5));
+                return y2mono(clamp(v, 0.0, 1.0), srgb2rgb(vec3(0.3, 1.0, 0.3)));
+            }
+
+            ${shaders.map(({ index, source }) => `\
+            vec3 visionShader${index}(vec3 color, float y, vec4 mask, vec3 uTint)
+            {
+                ${source}
+            }
+            `).join("\n")}
+
+            vec3 stylize(float style, vec3 rgb, float y, vec4 mask, vec3 tint)
+            {
+                if (style < 0.5)
+                    return y2mono(y, tint);
+                if (style < 1.5)
+                    return vec3(y);
+                if (style < 2.5)
+                    return thermal(y);
+                if (style < 3.5)
+                    return nightVision(y);
+                if (style < 4.5)
+                    return y2mono(y, srgb2rgb(vec3(0.7, 0.55, 0.35)));
+                ${shaders.map(({ index }) => `\
+                if (abs(style - ${index}.0) < 0.5)
+                    return visionShader${index}(rgb, y, mask, tint);
+                `).join("\n")}
+                // Styles of shaders that failed to compile fall back to the tinted style
+                return y2mono(y, tint);
+            }
+
             void main(void)
             {
                 vec4 mask = texture2D(uMask, vMaskCoord);
@@ -56,14 +108,61 @@ class MonoFilter extends BaseFilter {
                 vec3 rgb = srgb2rgb(srgb);
                 float a = srgba.a;
                 float y = rgb2y(rgb);
-                vec3 tint = srgb2rgb(uTint);
-                gl_FragColor = vec4(rgb2srgb(mix(mix(vec3(y), y2mono(y, tint), mask.a), rgb, max(mask.r, uSaturation))), a);
-            }`,
-            ...args
-        );
+                vec4 tints = texture2D(uTintMask, vMaskCoord);
+                vec3 tint = srgb2rgb(mix(vec3(1.0), tints.rgb / max(tints.a, 1e-4), step(1e-4, tints.a)));
+                float style = floor(texture2D(uStyleMask, vMaskCoord).r * 255.0 + 0.5);
+                gl_FragColor = vec4(rgb2srgb(mix(mix(vec3(y), stylize(style, rgb, y, mask, tint), mask.a), rgb, max(mask.r, uSaturation))), a);
+            }`;
+}
+
+class MonoFilter extends BaseFilter {
+    constructor(...args) {
+        super(createMonoFragmentSource(), ...args);
 
-        this.uniforms.uTint = new Float32Array(3);
         this.uniforms.uSaturation = 1;
+        this.uniforms.uTime = 0;
+
+        this.visionShadersVersion = 0;
+    }
+
+    // Compiles each new vision shader separately to find the ones with errors, and rebuilds the program with the valid ones
+    updateProgram(gl) {
+        this.visionShadersVersion = visionShadersVersion;
+
+        const styles = Object.keys(monoVisionStyles);
+        const shaders = [];
+
+        for (const shader of Object.values(visionShaders)) {
+            const index = styles.indexOf(shader._id);
+
+            if (shader.valid === undefined) {
+                const log = compileFragmentShader(gl, createMonoFragmentSource([{ index, source: shader.source }]));
+
+                shader.valid = !log;
+
+                if (log) {
+                    console.error(`Perfect Vision | Failed to compile vision shader ${shader._id}:\n${log}`);
+                    ui.notifications.error(`Perfect Vision | Failed to compile vision shader ${shader._label}. The default monochrome vision is used instead.`);
+                }
+            }
+
+            if (shader.valid)
+                shaders.push({ index, source: shader.source });
+        }
+
+        this.program = PIXI.Program.from(this.program.vertexSrc, createMonoFragmentSource(shaders));
+    }
+
+    apply(filterManager, input, output, clearMode) {
+        if (this.visionShadersVersion !== visionShadersVersion)
+            this.updateProgram(filterManager.renderer.gl);
+
+        this.uniforms.uTintMask = tintTexture;
+        this.uniforms.uStyleMask = styleTexture;
+        // The grain of the night vision goggles changes 20 times per second
+        this.uniforms.uTime = Math.floor(performance.now() / 50) % 64;
+
+        super.apply(filterManager, input, output, clearMode);
     }
 }
 
@@ -519,39 +618,5 @@ Hooks.on("lightingRefresh", () => {
 });
 
 Hooks.on("sightRefresh", () => {
-    let monoVisionColor;
-
-    if (canvas.sight.tokenVision && canvas.sight.sources.size > 0) {
-        for (const source of canvas.sight.sources) {
-            if (!source.active) continue;
-
-            const source_ = extend(source);
-
-            if (source_.monoVisionColor) {
-                if (monoVisionColor && !(
-                    monoVisionColor[0] === source_.monoVisionColor[0] &&
-                    monoVisionColor[1] === source_.monoVisionColor[1] &&
-                    monoVisionColor[2] === source_.monoVisionColor[2])) {
-                    monoVisionColor = undefined;
-                    break;
-                } else {
-                    monoVisionColor = source_.monoVisionColor;
-                }
-            }
-        }
-
-        sightFilter.enabled = true;
-    } else {
-        sightFilter.enabled = false;
-    }
-
-    if (monoVisionColor) {
-        monoFilter.uniforms.uTint[0] = monoVisionColor[0];
-        monoFilter.uniforms.uTint[1] = monoVisionColor[1];
-        monoFilter.uniforms.uTint[2] = monoVisionColor[2];
-    } else {
-        monoFilter.uniforms.uTint[0] = 1;
-        monoFilter.uniforms.uTint[1] = 1;
-        monoFilter.uniforms.uTint[2] = 1;
-    }
+    sightFilter.enabled = canvas.sight.tokenVision && canvas.sight.sources.size > 0;
 });
@@ -0,0 +1,79 @@
+// The color gradient of a scene is a list of stops. Each stop has a darkness level (0 to 1) and a color, and the color
+// of the scene at a darkness level is interpolated between the stops.
+
+function parseStop(stop) {
+    if (typeof stop !== "object" || stop === null)
+        return null;
+
+    const level = parseFloat(stop.level);
+
+    if (!(level >= 0 && level <= 1) || typeof stop.color !== "string" || !/^#[0-9a-f]{6}$/i.test(stop.color))
+        return null;
+
+    return { level, color: stop.color.toLowerCase() };
+}
+
+export function parseGradient(gradient) {
+    if (typeof gradient === "string") {
+        if (!gradient)
+            return null;
+
+        try {
+            gradient = JSON.parse(gradient);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    if (!Array.isArray(gradient) || gradient.length === 0)
+        return null;
+
+    const stops = gradient.map(parseStop);
+
+    if (stops.includes(null))
+        return null;
+
+    return stops.sort((a, b) => a.level - b.level);
+}
+
+// Returns the color (as RGB array) of the gradient at the darkness level
+export function sampleGradient(stops, level) {
+    const i = stops.findIndex(stop => stop.level >= level);
+
+    if (i < 0)
+        return hexToRGB(colorStringToHex(stops[stops.length - 1].color));
+
+    if (i === 0 || stops[i].level === level)
+        return hexToRGB(colorStringToHex(stops[i].color));
+
+    const prev = stops[i - 1];
+    const next = stops[i];
+    const t = (level - prev.level) / (next.level - prev.level);
+    const a = hexToRGB(colorStringToHex(prev.color));
+    const b = hexToRGB(colorStringToHex(next.color));
+
+    return a.map((c, j) => c + (b[j] - c) * t);
+}
+
+// Returns the color (as hex) of the gradient at the darkness level, which is exactly the color of the stop at its level
+export function getGradientColor(stops, level) {
+    const stop = stops.find(stop => stop.level === level)
+        ?? (level < stops[0].level ? stops[0] : null)
+        ?? (level > stops[stops.length - 1].level ? stops[stops.length - 1] : null);
+
+    if (stop)
+        return colorStringToHex(stop.color);
+
+    return rgbToHex(sampleGradient(stops, level));
+}
+
+// The color of the scene at the darkness level is the color of the gradient, which replaces the color that Foundry VTT
+// interpolates between the daylight and darkness color. The daylight and darkness colors are the colors of the gradient
+// at darkness level 0 and 1.
+export function getGradientColors(stops, level) {
+    return {
+        color: getGradientColor(stops, level),
+        daylightColor: getGradientColor(stops, 0),
+        darknessColor: getGradientColor(stops, 1)
+    };
+}
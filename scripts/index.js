@@ -1,9 +1,18 @@
 import "./presets.js";
-// import "./migrate.js";
+import "./api.js";
+import "./actor.js";
+import "./effects.js";
+import "./senses.js";
+import "./migrate.js";
 import "./config.js";
 import "./controls.js";
 import "./vision.js";
 import "./light.js";
 import "./filters.js";
 import "./fog.js";
+import "./indicator.js";
+import "./overlay.js";
+import "./preview.js";
+import "./lighting.js";
+import "./transfer.js";
 import "./fix.js";
@@ -0,0 +1,109 @@
+import { extend } from "./extend.js";
+import { patch } from "./patch.js";
+import { parseUpdateTokenArgs } from "./utils.js";
+import { getIlluminationAt } from "./visibility.js";
+
+const icons = {
+    dark: { glyph: "\uf186", color: 0x303040 },
+    dim: { glyph: "\uf042", color: 0x8c8c50 },
+    bright: { glyph: "\uf185", color: 0xffd040 }
+};
+
+function createIndicator() {
+    const indicator = new PIXI.Container();
+
+    indicator.background = indicator.addChild(new PIXI.Graphics());
+    indicator.icon = indicator.addChild(new PIXI.Text("", {
+        fontFamily: "Font Awesome 5 Free",
+        fontWeight: "900",
+        fontSize: 14,
+        fill: 0xffffff,
+        stroke: 0x000000,
+        strokeThickness: 2
+    }));
+    indicator.icon.anchor.set(0.5, 0.5);
+
+    return indicator;
+}
+
+function updateIndicator(token) {
+    const token_ = extend(token);
+
+    let indicator = token_.lightLevelIndicator;
+
+    const enabled = game.settings.get("perfect-vision", "lightLevelIndicator")
+        && (game.user.isGM || (token.isOwner ?? token.owner))
+        && !token._original;
+
+    if (!enabled) {
+        if (indicator && !indicator.destroyed)
+            indicator.visible = false;
+
+        return;
+    }
+
+    // Token#draw destroys all children of the token
+    if (!indicator || indicator.destroyed || indicator.parent !== token) {
+        indicator = token_.lightLevelIndicator = token.addChild(createIndicator());
+    }
+
+    const illumination = getIlluminationAt(token.center);
+
+    if (indicator.illumination !== illumination) {
+        const { glyph, color } = icons[illumination];
+
+        indicator.illumination = illumination;
+        indicator.icon.text = glyph;
+        indicator.background.clear()
+            .lineStyle(1, 0x000000, 0.8)
+            .beginFill(color, 0.8)
+            .drawCircle(0, 0, 11)
+            .endFill();
+    }
+
+    indicator.position.set(token.w - 12, 12);
+    indicator.visible = true;
+}
+
+function updateIndicators() {
+    if (!canvas?.ready)
+        return;
+
+    for (const token of canvas.tokens.placeables) {
+        updateIndicator(token);
+    }
+}
+
+Hooks.once("init", () => {
+    game.settings.register("perfect-vision", "lightLevelIndicator", {
+        name: "Light Level Indicator",
+        hint: "Shows whether your tokens stand in darkness, dim light, or bright light. Only the owners of a token and the GM see its indicator.",
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: false,
+        onChange: () => updateIndicators()
+    });
+
+    patch("Token.prototype.refresh", "POST", function (retVal) {
+        updateIndicator(this);
+
+        return retVal;
+    });
+});
+
+Hooks.on("lightingRefresh", () => updateIndicators());
+
+Hooks.on("sightRefresh", () => updateIndicators());
+
+Hooks.on("updateToken", (...args) => {
+    const { scene, change, id } = parseUpdateTokenArgs(...args);
+
+    if (!scene?.isView || !("x" in change || "y" in change || "width" in change || "height" in change))
+        return;
+
+    const token = canvas.tokens.get(id);
+
+    if (token)
+        updateIndicator(token);
+});
@@ -55,6 +55,8 @@ Hooks.once("init", () => {
             this.type = CONST.SOURCE_TYPES.LOCAL;
         }
 
+        this_.magicalDarkness = !!(this.isDarkness ?? this.darkness) && !!document.getFlag("perfect-vision", "magicalDarkness");
+
         return retVal;
     });
 });
@@ -69,6 +71,19 @@ Hooks.on("renderLightConfig", (sheet, html, data) => {
     if (document.data.t === CONST.SOURCE_TYPES.LOCAL && document.getFlag("perfect-vision", "unrestricted")) {
         html.find(`select[name="t"] > option[value="${CONST.SOURCE_TYPES.LOCAL}_unrestricted"]`).prop("selected", true);
     }
+
+    html.find(`select[name="t"]`).closest(".form-group").after(`\
+        <div class="form-group">
+            <label>Magical Darkness</label>
+            <input type="checkbox" name="flags.perfect-vision.magicalDarkness" data-dtype="Boolean">
+            <p class="notes">If enabled and the light is a darkness source (negative radius), dim and bright vision don't work inside of it. Only senses that ignore magical darkness and tokens with Devil's Sight can see inside of it.</p>
+        </div>`);
+
+    html.find(`input[name="flags.perfect-vision.magicalDarkness"]`)
+        .prop("checked", !!document.getFlag("perfect-vision", "magicalDarkness"));
+
+    if (!sheet._minimized)
+        sheet.setPosition(sheet.position);
 });
 
 Hooks.on("updateAmbientLight", (document, change, options, userId, arg) => {
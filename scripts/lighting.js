@@ -0,0 +1,223 @@
+// The flags of a scene that are bundled in a lighting preset together with the darkness level
+const flagKeys = [
+    "daylightColor",
+    "darknessColor",
+    "colorGradient",
+    "forceSaturation",
+    "saturation",
+    "sightLimit",
+    "globalLight",
+    "scheduleEnabled",
+    "schedule"
+];
+
+export function getLightingPresets() {
+    return game.settings.get("perfect-vision", "lightingPresets") ?? {};
+}
+
+// Creates a preset from the (possibly unsaved) data of a scene, which has the same structure as the scene's data
+export async function saveLightingPreset(name, data) {
+    if (!game.user.isGM)
+        throw new Error("Perfect Vision | Only the GM can save lighting presets");
+
+    if (typeof name !== "string" || !name.trim())
+        throw new Error("Perfect Vision | Invalid lighting preset name");
+
+    const flags = {};
+
+    for (const key of flagKeys) {
+        const value = getProperty(data, `flags.perfect-vision.${key}`);
+
+        if (value !== undefined && value !== null && value !== "")
+            flags[key] = value;
+    }
+
+    const preset = {
+        name: name.trim(),
+        darkness: Math.clamped(Number(data.darkness) || 0, 0, 1),
+        flags
+    };
+
+    // Since 0.8.5 global illumination is a setting of the scene instead of a flag
+    if (isNewerVersion(game.data.version, "0.8.4")) {
+        preset.globalLight = !!data.globalLight;
+        preset.globalLightThreshold = data.globalLightThreshold ?? null;
+    }
+
+    const presets = duplicate(getLightingPresets());
+    const id = Object.keys(presets).find(id => presets[id].name === preset.name) ?? randomID();
+
+    presets[id] = preset;
+
+    await game.settings.set("perfect-vision", "lightingPresets", presets);
+
+    return id;
+}
+
+export async function deleteLightingPreset(id) {
+    const presets = duplicate(getLightingPresets());
+
+    delete presets[id];
+
+    await game.settings.set("perfect-vision", "lightingPresets", presets);
+}
+
+export async function applyLightingPreset(id, scenes) {
+    const preset = getLightingPresets()[id];
+
+    if (!preset)
+        throw new Error(`Perfect Vision | Unknown lighting preset: ${id}`);
+
+    const updates = scenes.map(scene => {
+        const update = {
+            _id: scene.id ?? scene._id,
+            darkness: preset.darkness
+        };
+
+        if (isNewerVersion(game.data.version, "0.8.4") && preset.globalLight !== undefined) {
+            update.globalLight = preset.globalLight;
+            update.globalLightThreshold = preset.globalLightThreshold;
+        }
+
+        // The flags that are not part of the preset are removed from the scene
+        for (const key of flagKeys) {
+            if (preset.flags[key] !== undefined)
+                update[`flags.perfect-vision.${key}`] = preset.flags[key];
+            else if (scene.getFlag("perfect-vision", key) !== undefined)
+                update[`flags.perfect-vision.-=${key}`] = null;
+        }
+
+        return update;
+    });
+
+    if (updates.length === 0)
+        return;
+
+    if (isNewerVersion(game.data.version, "0.8")) {
+        await Scene.updateDocuments(updates);
+    } else {
+        await Scene.update(updates);
+    }
+}
+
+function openApplyDialog(scenes) {
+    const presets = getLightingPresets();
+
+    if (Object.keys(presets).length === 0) {
+        ui.notifications.warn("Perfect Vision | There are no lighting presets. Save a preset in the scene configuration first.");
+        return;
+    }
+
+    new Dialog({
+        title: "Apply Lighting Preset",
+        content: `\
+            <form>
+                <div class="form-group">
+                    <label>Preset:</label>
+                    <select name="preset">
+                        ${Object.entries(presets).map(([id, preset]) => `<option value="${Handlebars.escapeExpression(id)}">${Handlebars.escapeExpression(preset.name)}</option>`).join("")}
+                    </select>
+                </div>
+                <p class="notes">The preset is applied to ${scenes.length === 1 ? `the scene ${Handlebars.escapeExpression(scenes[0].name)}` : `${scenes.length} scenes`}.</p>
+            </form>`,
+        buttons: {
+            apply: {
+                icon: `<i class="fas fa-check"></i>`,
+                label: "Apply",
+                callback: html => applyLightingPreset(html.find(`select[name="preset"]`).val(), scenes)
+            },
+            delete: {
+                icon: `<i class="fas fa-trash"></i>`,
+                label: "Delete Preset",
+                callback: html => deleteLightingPreset(html.find(`select[name="preset"]`).val())
+            },
+            cancel: {
+                icon: `<i class="fas fa-times"></i>`,
+                label: "Cancel"
+            }
+        },
+        default: "apply"
+    }).render(true);
+}
+
+export function openSaveDialog(data) {
+    new Dialog({
+        title: "Save Lighting Preset",
+        content: `\
+            <form>
+                <div class="form-group">
+                    <label>Name:</label>
+                    <input type="text" name="name" list="perfect-vision-lighting-presets">
+                    <datalist id="perfect-vision-lighting-presets">
+                        ${Object.values(getLightingPresets()).map(preset => `<option value="${Handlebars.escapeExpression(preset.name)}">`).join("")}
+                    </datalist>
+                </div>
+                <p class="notes">Saves the Darkness Level, the colors, the Saturation Level, the Sight Limit, the global illumination, and the Day/Night Cycle of the scene. A preset with the same name is replaced.</p>
+            </form>`,
+        buttons: {
+            save: {
+                icon: `<i class="fas fa-save"></i>`,
+                label: "Save",
+                callback: async html => {
+                    const name = html.find(`input[name="name"]`).val();
+
+                    if (!name?.trim()) {
+                        ui.notifications.warn("Perfect Vision | The lighting preset needs a name.");
+                        return;
+                    }
+
+                    await saveLightingPreset(name, data);
+
+                    ui.notifications.info(`Perfect Vision | Saved lighting preset ${name.trim()}.`);
+                }
+            },
+            cancel: {
+                icon: `<i class="fas fa-times"></i>`,
+                label: "Cancel"
+            }
+        },
+        default: "save"
+    }).render(true);
+}
+
+Hooks.once("init", () => {
+    game.settings.register("perfect-vision", "lightingPresets", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {}
+    });
+});
+
+Hooks.on("getSceneDirectoryEntryContext", (html, options) => {
+    options.push({
+        name: "Apply Lighting Preset",
+        icon: `<i class="fas fa-lightbulb"></i>`,
+        condition: () => game.user.isGM,
+        callback: li => {
+            const scene = game.scenes.get(li.data("documentId") ?? li.data("entityId"));
+
+            if (scene)
+                openApplyDialog([scene]);
+        }
+    });
+});
+
+Hooks.on("getSceneDirectoryFolderContext", (html, options) => {
+    options.push({
+        name: "Apply Lighting Preset",
+        icon: `<i class="fas fa-lightbulb"></i>`,
+        condition: () => game.user.isGM,
+        callback: header => {
+            const folderId = header.parent().data("folderId");
+            const scenes = game.scenes.filter(scene => scene.data.folder === folderId);
+
+            if (scenes.length === 0) {
+                ui.notifications.warn("Perfect Vision | There are no scenes in this folder.");
+                return;
+            }
+
+            openApplyDialog(scenes);
+        }
+    });
+});
@@ -3,25 +3,56 @@ import { patch } from "./patch.js";
 
 const mask = new PIXI.Container();
 
-mask.background = mask.addChild(new PIXI.Graphics());
+mask.background = new PIXI.Graphics();
+mask.background.blendMode = PIXI.BLEND_MODES.ADD;
 mask.layers = [
+    new PIXI.Container(),
+    new PIXI.Container(),
+    new PIXI.Container(),
     new PIXI.Container(),
     new PIXI.Container(),
     new PIXI.Container()
 ];
+// Magical darkness erases the vision of the sight sources, which is why global illumination and the light sources are drawn after it
 mask.addChild(
     mask.layers[0],
     mask.layers[1],
-    mask.layers[2]
+    mask.layers[2],
+    mask.layers[3],
+    mask.background,
+    mask.layers[4],
+    mask.layers[5]
 );
 
 mask.msk = mask.addChild(new PIXI.Graphics());
 mask.mask = mask.msk;
 
+// The monochrome vision tints of the sight sources: the tint of overlapping sources is the average of their tints
+const tints = new PIXI.Container();
+
+// The monochrome vision styles of the sight sources: the style of overlapping sources is the style of the last source
+const styles = new PIXI.Container();
+
 var dirty;
 
 export const texture = PIXI.RenderTexture.create();
 
+export const stencil = mask.msk;
+
+export const tintTexture = PIXI.RenderTexture.create();
+
+// The order of the styles must match the style indices of the shader of the MonoFilter in filters.js
+export const monoVisionStyles = {
+    "tinted": "Tinted",
+    "grayscale": "Grayscale",
+    "thermal": "Thermal",
+    "nightVision": "Night Vision Goggles",
+    "sepia": "Sepia"
+};
+
+// The style indices must not be interpolated
+export const styleTexture = PIXI.RenderTexture.create({ scaleMode: PIXI.SCALE_MODES.NEAREST });
+
 export function visualize() {
     const dataUrl = canvas.app.renderer.extract.canvas(texture).toDataURL("image/png");
     const w = window.open();
@@ -125,6 +156,22 @@ function render() {
             texture.resize(width, height);
         }
 
+        if (tintTexture.resolution !== resolution) {
+            tintTexture.setResolution(resolution);
+        }
+
+        if (tintTexture.width !== width || tintTexture.height !== height) {
+            tintTexture.resize(width, height);
+        }
+
+        if (styleTexture.resolution !== resolution) {
+            styleTexture.setResolution(resolution);
+        }
+
+        if (styleTexture.width !== width || styleTexture.height !== height) {
+            styleTexture.resize(width, height);
+        }
+
         if (isNewerVersion(game.data.version, "0.8.3")) {
             if (mask.filter instanceof GlowFilter)
                 mask.filter.uniforms.uStrength = canvas.blurDistance / 4;
@@ -134,6 +181,22 @@ function render() {
         }
 
         canvas.app.renderer.render(mask, texture, true, undefined, false);
+
+        tints.position.copyFrom(mask.position);
+        tints.pivot.copyFrom(mask.pivot);
+        tints.scale.copyFrom(mask.scale);
+        tints.skew.copyFrom(mask.skew);
+        tints.rotation = mask.rotation;
+
+        canvas.app.renderer.render(tints, tintTexture, true, undefined, false);
+
+        styles.position.copyFrom(mask.position);
+        styles.pivot.copyFrom(mask.pivot);
+        styles.scale.copyFrom(mask.scale);
+        styles.skew.copyFrom(mask.skew);
+        styles.rotation = mask.rotation;
+
+        canvas.app.renderer.render(styles, styleTexture, true, undefined, false);
     }
 }
 
@@ -161,6 +224,29 @@ Hooks.once("init", () => {
                 c_.fovMono = null;
             }
 
+            if (this_.fovMono && this_.monoVisionColor) {
+                if (!c_.fovTint) {
+                    c_.fovTint = new PIXI.Graphics();
+                    c_.fovTint.blendMode = PIXI.BLEND_MODES.ADD;
+                }
+
+                c_.fovTint.clear().beginFill(rgbToHex(this_.monoVisionColor), 1.0).drawPolygon(this_.fovMono).endFill();
+            } else if (c_.fovTint) {
+                c_.fovTint.destroy();
+                c_.fovTint = null;
+            }
+
+            // The style index is stored in the red channel
+            if (this_.fovMono && this_.monoVisionStyle !== null) {
+                if (!c_.fovStyle)
+                    c_.fovStyle = new PIXI.Graphics();
+
+                c_.fovStyle.clear().beginFill(this_.monoVisionStyle << 16, 1.0).drawPolygon(this_.fovMono).endFill();
+            } else if (c_.fovStyle) {
+                c_.fovStyle.destroy();
+                c_.fovStyle = null;
+            }
+
             if (this_.fovColor) {
                 if (!c_.fovColor) {
                     c_.fovColor = new PIXI.Graphics();
@@ -184,17 +270,62 @@ Hooks.once("init", () => {
                 c_.fovDimToBright.destroy();
                 c_.fovDimToBright = null;
             }
+
+            if (this_.fovPiercingMono) {
+                if (!c_.fovPiercingMono) {
+                    c_.fovPiercingMono = new PIXI.Graphics();
+                    c_.fovPiercingMono.blendMode = PIXI.BLEND_MODES.ADD;
+                }
+
+                c_.fovPiercingMono.clear().beginFill(0x00FF00, 1.0).drawPolygon(this_.fovPiercingMono).endFill();
+            } else if (c_.fovPiercingMono) {
+                c_.fovPiercingMono.destroy();
+                c_.fovPiercingMono = null;
+            }
+
+            if (this_.fovPiercingColor) {
+                if (!c_.fovPiercingColor) {
+                    c_.fovPiercingColor = new PIXI.Graphics();
+                    c_.fovPiercingColor.blendMode = PIXI.BLEND_MODES.ADD;
+                }
+
+                c_.fovPiercingColor.clear().beginFill(0xFF0000, 1.0).drawPolygon(this_.fovPiercingColor).endFill();
+            } else if (c_.fovPiercingColor) {
+                c_.fovPiercingColor.destroy();
+                c_.fovPiercingColor = null;
+            }
         } else {
+            if (this_.magicalDarkness) {
+                if (!c_.fovMagicalDarkness) {
+                    c_.fovMagicalDarkness = new PIXI.Graphics();
+                    c_.fovMagicalDarkness.blendMode = PIXI.BLEND_MODES.ERASE;
+                }
+
+                c_.fovMagicalDarkness.clear().beginFill(0x000000, 1.0).drawPolygon(this.fov).endFill();
+            } else if (c_.fovMagicalDarkness) {
+                c_.fovMagicalDarkness.destroy();
+                c_.fovMagicalDarkness = null;
+            }
+
             if (this !== ilm_.globalLight2) {
-                if (!c_.fovLight)
-                    c_.fovLight = new PIXI.Graphics();
+                // Light sources clear the monochrome vision and fill the color vision, but keep dim to bright
+                if (!c_.fovLight) {
+                    c_.fovLight = new PIXI.Container();
+                    c_.fovLight.addChild(new PIXI.Graphics()).blendMode = PIXI.BLEND_MODES.MULTIPLY;
+                    c_.fovLight.addChild(new PIXI.Graphics()).blendMode = PIXI.BLEND_MODES.ADD;
+                }
+
+                const [clear, fill] = c_.fovLight.children;
 
-                c_.fovLight.clear();
+                clear.clear();
+                fill.clear();
 
-                if (this.radius > 0)
-                    c_.fovLight.beginFill(0xFF0000, 1.0).drawPolygon(this.fov).endFill();
+                if (this.radius > 0) {
+                    clear.beginFill(0xFF00FF, 1.0).drawPolygon(this.fov).endFill();
+                    fill.beginFill(0xFF0000, 1.0).drawPolygon(this.fov).endFill();
+                }
             } else if (c_.fovLight) {
-                c_.fovLight.destroy();
+                c_.fovLight.destroy({ children: true });
                 c_.fovLight = null;
             }
         }
@@ -222,6 +353,9 @@ Hooks.on("canvasInit", () => {
     mask.filters = [mask.filter];
     mask.filterArea = canvas.app.renderer.screen;
 
+    tints.filters = [mask.filter];
+    tints.filterArea = canvas.app.renderer.screen;
+
     dirty = true;
 });
 
@@ -244,6 +378,9 @@ Hooks.on("lightingRefresh", () => {
     for (const layer of mask.layers)
         layer.removeChildren();
 
+    tints.removeChildren();
+    styles.removeChildren();
+
     for (const source of canvas.lighting.sources) {
         if (!source.active) continue;
 
@@ -251,7 +388,10 @@ Hooks.on("lightingRefresh", () => {
         const sc_ = extend(sc);
 
         if (sc_.fovLight)
-            mask.layers[1].addChild(sc_.fovLight);
+            mask.layers[4].addChild(sc_.fovLight);
+
+        if (sc_.fovMagicalDarkness)
+            mask.layers[3].addChild(sc_.fovMagicalDarkness);
     }
 
     for (const source of canvas.sight.sources) {
@@ -268,8 +408,24 @@ Hooks.on("lightingRefresh", () => {
 
         if (sc_.fovDimToBright)
             mask.layers[2].addChild(sc_.fovDimToBright);
+
+        if (sc_.fovPiercingMono)
+            mask.layers[5].addChild(sc_.fovPiercingMono);
+
+        if (sc_.fovPiercingColor)
+            mask.layers[5].addChild(sc_.fovPiercingColor);
+
+        if (sc_.fovTint)
+            tints.addChild(sc_.fovTint);
+
+        if (sc_.fovStyle)
+            styles.addChild(sc_.fovStyle);
     }
 
+    // The sum of the tints divided by the sum of the alphas is the average tint
+    for (const tint of tints.children)
+        tint.alpha = 1 / tints.children.length;
+
     dirty = true;
 });
 
@@ -1,13 +1,69 @@
 import { patch } from "./patch.js";
+import { convertLegacyRules } from "./presets.js";
+import { parseUpdateTokenArgs } from "./utils.js";
 
-const versions = Object.freeze({ world: 1, client: 1, scene: 1, token: 1 });
+const versions = Object.freeze({ world: 2, client: 2, scene: 2, token: 2 });
+
+const legacyVisionKeys = [
+    "dimVisionInDarkness",
+    "dimVisionInDimLight",
+    "brightVisionInDarkness",
+    "brightVisionInDimLight"
+];
+
+function getType(entity) {
+    if (entity instanceof Scene) {
+        return "scene";
+    } else if (entity instanceof Actor) {
+        return "actor";
+    } else if (entity instanceof Token || isNewerVersion(game.data.version, "0.8") && entity instanceof TokenDocument) {
+        return "token";
+    } else {
+        return entity;
+    }
+}
+
+function getLabel(entity) {
+    const type = getType(entity);
+
+    if (type === "world") {
+        return "World Settings";
+    } else if (type === "client") {
+        return "Client Settings";
+    } else if (type === "scene") {
+        return `Scene: ${entity.name}`;
+    } else if (type === "actor") {
+        return `Prototype Token: ${entity.name}`;
+    } else {
+        const scene = isNewerVersion(game.data.version, "0.8") ? entity.parent : entity.scene;
+
+        return `Token: ${entity.name ?? entity.data.name} (Scene: ${scene?.name})`;
+    }
+}
+
+function getKey(entity) {
+    const type = getType(entity);
+
+    if (type === "world" || type === "client")
+        return type;
+
+    return `${type}.${entity.id}`;
+}
 
 function getFlags(entity) {
     if (entity === "world" || entity === "client") {
         const storage = game.settings.storage.get(entity);
         let flags;
 
-        if (Symbol.iterator in storage) {
+        if (entity === "world" && isNewerVersion(game.data.version, "0.8")) {
+            // The world settings are documents since 0.8
+            for (const setting of storage) {
+                if (setting.key.startsWith("perfect-vision.")) {
+                    flags = flags ?? {};
+                    flags[setting.key.split(/\.(.*)/)[1]] = JSON.parse(setting.data.value);
+                }
+            }
+        } else if (Symbol.iterator in storage) {
             for (const key of storage.keys()) {
                 if (key.startsWith("perfect-vision.")) {
                     const value = storage.getItem(key);
@@ -56,22 +112,29 @@ function getFlag(entity, key) {
 
 async function setFlag(entity, key, value) {
     if (entity === "world" || entity === "client") {
-        key = `perfect-vision.${key}`;
-
         if (value === undefined) value = null;
 
+        if (game.settings.settings.has(`perfect-vision.${key}`)) {
+            await game.settings.set("perfect-vision", key, value);
+            return entity;
+        }
+
+        key = `perfect-vision.${key}`;
+
         const json = JSON.stringify(value);
 
         if (entity === "world") {
-            await SocketInterface.dispatch("modifyDocument", {
-                type: "Setting",
-                action: "update",
-                data: { key, value: json }
-            });
+            const setting = game.settings.storage.get("world").getSetting(key);
+
+            if (setting) {
+                await setting.update({ value: json });
+            } else {
+                await Setting.create({ key, value: json });
+            }
+        } else {
+            game.settings.storage.get("client").setItem(key, json);
         }
 
-        const storage = game.settings.storage.get(entity);
-        storage.setItem(key, json);
         return entity;
     }
 
@@ -87,20 +150,15 @@ async function unsetFlag(entity, key) {
     if (entity === "world" || entity === "client") {
         key = `perfect-vision.${key}`;
 
-        if (entity === "world") {
-            await SocketInterface.dispatch("modifyDocument", {
-                type: "Setting",
-                action: "update",
-                data: { key, value: JSON.stringify(null) }
-            });
-        }
-
         const storage = game.settings.storage.get(entity);
 
         if (entity === "client") {
             storage.removeItem(key);
-        } else {
-            storage.delete(key);
+        } else if (isNewerVersion(game.data.version, "0.8")) {
+            await storage.getSetting(key)?.delete();
+        } else if (game.settings.settings.has(key)) {
+            // Before 0.8 world settings cannot be deleted
+            await game.settings.set("perfect-vision", key.split(/\.(.*)/)[1], null);
         }
 
         return entity;
@@ -114,45 +172,148 @@ async function unsetFlag(entity, key) {
     return await entity.unsetFlag("perfect-vision", key);
 }
 
-let migrator;
-let notifed = false;
+// Converts the dim/bright vision rules of earlier versions into the vision bands
+function migrateLegacyVisionRules(flags) {
+    const ops = [];
 
-async function migrate(entity, func) {
-    let type;
+    if (!legacyVisionKeys.some(key => key in flags))
+        return ops;
 
-    if (entity instanceof Scene) {
-        type = "scene";
-    } else if (entity instanceof Actor) {
-        type = "actor";
-    } else if (entity instanceof Token) {
-        type = "token";
-    } else {
-        type = entity;
+    const bands = convertLegacyRules(flags);
+
+    // Incomplete rules cannot be converted and are kept as they are
+    if (!bands)
+        return ops;
+
+    if (!flags.visionBands)
+        ops.push({ action: "set", key: "visionBands", value: JSON.stringify(bands) });
+
+    for (const key of legacyVisionKeys) {
+        if (key in flags)
+            ops.push({ action: "unset", key, value: flags[key] });
     }
 
-    const versionKey = type !== "client" ? "_version" : "_clientVersion";
-    const flags = Object.keys(getFlags(entity) ?? {});
-    const canUpdateFlags = type === "client" || game.user === migrator;
+    return ops;
+}
 
-    if (flags.length === 0) {
-        return false;
-    } else if (flags.length === 1 && flags[0] === versionKey) {
-        if (canUpdateFlags)
-            await unsetFlag(entity, versionKey);
+// Since 0.8.5 the global illumination of the scene is bright light, which was one of the choices of earlier versions
+function migrateGlobalLight(scene, globalLight) {
+    const ops = [];
+
+    if (!scene.data.globalLight || globalLight === "bright")
+        return ops;
+
+    ops.push({ entity: scene, action: "update", data: { globalLight: false } });
+
+    // Dim global illumination is replaced by an unrestricted local light that covers the entire scene
+    if (globalLight === "dim") {
+        const d = Canvas.getDimensions(scene.data);
+        const r = d.sceneRect;
+
+        ops.push({
+            entity: scene,
+            action: "createLight",
+            data: {
+                x: Math.round(r.x + r.width / 2),
+                y: Math.round(r.y + r.height / 2),
+                t: CONST.SOURCE_TYPES.LOCAL,
+                dim: Math.ceil(Math.hypot(r.width, r.height) / 2 / d.size * d.distance),
+                bright: 0,
+                flags: { "perfect-vision": { unrestricted: true } }
+            }
+        });
+    }
 
-        return false;
+    return ops;
+}
+
+const migrations = {
+    world(version, flags) {
+        const ops = migrateLegacyVisionRules(flags);
+
+        if (isNewerVersion(game.data.version, "0.8.3") && "fogOfWarWeather" in flags)
+            ops.push({ action: "unset", key: "fogOfWarWeather", value: flags.fogOfWarWeather });
+
+        if (isNewerVersion(game.data.version, "0.8") && "actualFogOfWar" in flags)
+            ops.push({ action: "unset", key: "actualFogOfWar", value: flags.actualFogOfWar });
+
+        if (isNewerVersion(game.data.version, "0.8.4")) {
+            const scenes = game.scenes.contents;
+
+            // Force Monochrome Vision is a Saturation Level of 0
+            if (flags.forceMonoVision) {
+                for (const scene of scenes) {
+                    if (scene.getFlag("perfect-vision", "forceSaturation") !== undefined)
+                        continue;
+
+                    ops.push({ entity: scene, action: "set", key: "forceSaturation", value: true });
+                    ops.push({ entity: scene, action: "set", key: "saturation", value: 0 });
+                }
+            }
+
+            if ("forceMonoVision" in flags)
+                ops.push({ action: "unset", key: "forceMonoVision", value: flags.forceMonoVision });
+
+            // Scenes with their own global illumination light are migrated with the scene, and the other scenes are
+            // migrated only if the setting was changed
+            if ("globalLight" in flags) {
+                for (const scene of scenes) {
+                    const globalLight = scene.getFlag("perfect-vision", "globalLight");
+
+                    if (!globalLight || globalLight === "default")
+                        ops.push(...migrateGlobalLight(scene, flags.globalLight));
+                }
+
+                ops.push({ action: "unset", key: "globalLight", value: flags.globalLight });
+            }
+        }
+
+        return ops;
+    },
+
+    client(version, flags) {
+        return [];
+    },
+
+    scene(version, flags) {
+        const ops = migrateLegacyVisionRules(flags);
+
+        if (isNewerVersion(game.data.version, "0.8.4") && "globalLight" in flags) {
+            if (flags.globalLight !== "default")
+                ops.push(...migrateGlobalLight(this, flags.globalLight));
+
+            ops.push({ action: "unset", key: "globalLight", value: flags.globalLight });
+        }
+
+        return ops;
+    },
+
+    token(version, flags) {
+        return migrateLegacyVisionRules(flags);
     }
+};
 
-    let currentVersion = getFlag(entity, versionKey) ?? 0;
-    const targetVersion = versions[type === "actor" ? "token" : type];
+let migrator;
+let notifed = false;
+let migrating = false;
 
-    if (currentVersion === 0 && targetVersion === 1) {
-        if (canUpdateFlags)
-            await setFlag(entity, versionKey, targetVersion);
+// Returns the migration of the entity without applying it, or null if the entity doesn't need to be migrated
+function planMigration(entity) {
+    const type = getType(entity);
+    const versionKey = type !== "client" ? "_version" : "_clientVersion";
+    const flags = getFlags(entity) ?? {};
+    const keys = Object.keys(flags);
+    const canUpdateFlags = type === "client" || game.user === migrator;
 
-        return false;
+    if (keys.length === 0) {
+        return null;
+    } else if (keys.length === 1 && keys[0] === versionKey) {
+        return canUpdateFlags ? { entity, versionKey, version: null, ops: [] } : null;
     }
 
+    const currentVersion = getFlag(entity, versionKey) ?? 0;
+    const targetVersion = versions[type === "actor" ? "token" : type];
+
     if (isNewerVersion(currentVersion, targetVersion)) {
         if (!notifed) {
             ui.notifications.error("Please update 'Perfect Vision' to the latest version.");
@@ -160,109 +321,263 @@ async function migrate(entity, func) {
         }
     } else if (isNewerVersion(targetVersion, currentVersion)) {
         if (canUpdateFlags) {
-            console.log(`Perfect Vision | Migrating ${type + (entity.id ? " " + entity.id : "")} from version ${currentVersion} to ${targetVersion}`);
-
-            await setFlag(entity, versionKey, targetVersion);
-
-            await func.call(entity, currentVersion);
+            const ops = migrations[type === "actor" ? "token" : type].call(entity, currentVersion, flags);
 
-            return true;
+            return { entity, versionKey, version: targetVersion, from: currentVersion, ops };
         } else if (!notifed) {
             ui.notifications.error("'Perfect Vision' was updated. The GM needs to connect first to complete the migration. Then reload.");
             notifed = true;
         }
     }
 
-    return false;
+    return null;
 }
 
-async function migrateToken(token) {
-    return await migrate(token, async function (version) { /* ... */ });
-}
-
-async function migrateTokens() {
-    const migrated = [];
+function getTokens() {
+    const tokens = [];
 
-    for (const scene of game.scenes.entities) {
-        for (const data of scene.getEmbeddedCollection("Token")) {
-            migrated.push(await migrateToken(new Token(data, scene)));
+    if (isNewerVersion(game.data.version, "0.8")) {
+        for (const scene of game.scenes.contents) {
+            tokens.push(...scene.tokens.contents);
+        }
+    } else {
+        for (const scene of game.scenes.entities) {
+            for (const data of scene.getEmbeddedCollection("Token")) {
+                tokens.push(new Token(data, scene));
+            }
         }
     }
 
-    return migrated.some(m => m);
+    return tokens;
 }
 
-async function migrateActor(actor) {
-    return await migrateToken(actor);
-}
+function planAll() {
+    const entities = [
+        "client",
+        "world",
+        ...(isNewerVersion(game.data.version, "0.8") ? game.actors.contents : game.actors.entities),
+        ...(isNewerVersion(game.data.version, "0.8") ? game.scenes.contents : game.scenes.entities),
+        ...getTokens()
+    ];
 
-async function migrateActors() {
-    const migrated = [];
+    return entities.map(planMigration).filter(migration => migration);
+}
 
-    for (const actor of game.actors.entities) {
-        migrated.push(await migrateActor(actor));
+function describeOp(op) {
+    const format = value => {
+        const string = JSON.stringify(value) ?? "undefined";
+
+        return string.length > 80 ? string.slice(0, 77) + "..." : string;
+    };
+
+    switch (op.action) {
+        case "set":
+            return `Set ${op.key} to ${format(op.value)}`;
+        case "unset":
+            return `Remove ${op.key} (${format(op.value)})`;
+        case "update":
+            return Object.entries(op.data).map(([key, value]) => `Change ${key} to ${format(value)}`).join(", ");
+        case "createLight":
+            return `Create an unrestricted local light with a dim radius of ${op.data.dim} to replace the dim global illumination`;
     }
-
-    return migrated.some(m => m);
 }
 
-async function migrateScene(scene) {
-    await migrate(scene, async function (version) { /* ... */ });
-}
+// Lists the changes of each entity, which may include changes of other entities, e.g. the world settings change scenes
+function getMigrationReport(migrations) {
+    const report = new Map();
+
+    for (const { entity, ops } of migrations) {
+        for (const op of ops) {
+            const target = op.entity ?? entity;
+            const label = getLabel(target);
 
-async function migrateScenes() {
-    const migrated = [];
+            if (!report.has(label))
+                report.set(label, []);
 
-    for (const scene of game.scenes.entities) {
-        migrated.push(await migrateScene(scene));
+            report.get(label).push(describeOp(op));
+        }
     }
 
-    return migrated.some(m => m);
+    return Array.from(report, ([label, changes]) => ({ label, changes }));
 }
 
-async function resetInvalidSettingsToDefault(scope) {
+async function applyOp(entity, op) {
+    entity = op.entity ?? entity;
+
+    switch (op.action) {
+        case "set":
+            return await setFlag(entity, op.key, op.value);
+        case "unset":
+            return await unsetFlag(entity, op.key);
+        case "update":
+            return await entity.update(op.data);
+        case "createLight":
+            return await entity.createEmbeddedDocuments("AmbientLight", [op.data]);
+    }
+}
+
+async function applyMigrations(migrations) {
     let migrated = false;
 
-    for (const s of game.settings.settings.values()) {
-        if (s.module !== "perfect-vision")
-            continue;
+    // The updates of the migration must not trigger migrations of the updated entities
+    migrating = true;
 
-        if (s.scope !== scope)
-            continue;
+    try {
+        for (const { entity, versionKey, version, from, ops } of migrations) {
+            if (version === null) {
+                await unsetFlag(entity, versionKey);
+                continue;
+            }
 
-        if (s.choices && !s.choices[game.settings.get(s.module, s.key)]) {
-            await game.settings.set(s.module, s.key, s.default);
+            if (ops.length > 0) {
+                console.log(`Perfect Vision | Migrating ${getLabel(entity)} from version ${from} to ${version}`);
+                migrated = true;
+            }
 
-            migrated = true;
+            // The version is updated only if all changes were applied, so that a failed migration is repeated
+            try {
+                for (const op of ops) {
+                    await applyOp(entity, op);
+                }
+            } catch (e) {
+                console.error(e);
+                ui.notifications.error(`Perfect Vision | Failed to migrate ${getLabel(entity)}.`);
+                continue;
+            }
+
+            await setFlag(entity, versionKey, version);
         }
+    } finally {
+        migrating = false;
     }
 
     return migrated;
 }
 
-async function migrateWorldSettings() {
-    let migrated = false;
+const renderReportTemplate = Handlebars.compile(`\
+    <p>Perfect Vision was updated, and the following data needs to be migrated. Nothing has been changed yet.</p>
+    <div style="max-height: 400px; overflow-y: auto;">
+        <ul>
+            {{#each report}}
+            <li>
+                <strong>{{this.label}}</strong>
+                <ul>
+                    {{#each this.changes}}
+                    <li>{{this}}</li>
+                    {{/each}}
+                </ul>
+            </li>
+            {{/each}}
+        </ul>
+    </div>
+    <p>Without migration, the legacy settings keep working as far as possible.</p>`
+);
+
+// The keys of the entities whose migration awaits the GM's decision
+const pending = new Set();
+
+// The keys of the entities whose migration the GM postponed, which isn't offered again until the next session
+const postponed = new Set();
+
+// Shows the dry-run report of the migrations and applies them if the GM confirms
+async function migrateWithReport(migrations) {
+    migrations = migrations.filter(migration => migration.ops.length === 0 || !postponed.has(getKey(migration.entity)));
+
+    // Migrations without changes only update the version
+    if (!migrations.some(migration => migration.ops.length > 0))
+        return await applyMigrations(migrations);
+
+    const keys = migrations.filter(migration => migration.ops.length > 0).map(migration => getKey(migration.entity));
+
+    for (const key of keys)
+        pending.add(key);
+
+    const report = getMigrationReport(migrations);
+
+    console.log("Perfect Vision | Migration report:", report);
+
+    const confirmed = await new Promise(resolve => {
+        new Dialog({
+            title: "Perfect Vision: Migration",
+            content: renderReportTemplate({ report }),
+            buttons: {
+                migrate: {
+                    icon: `<i class="fas fa-check"></i>`,
+                    label: "Migrate",
+                    callback: () => resolve(true)
+                },
+                cancel: {
+                    icon: `<i class="fas fa-times"></i>`,
+                    label: "Not Now",
+                    callback: () => resolve(false)
+                }
+            },
+            default: "migrate",
+            close: () => resolve(false)
+        }, {
+            width: 600
+        }).render(true);
+    });
 
-    migrated = await migrate("world", async function (version) { /* ... */ }) || migrated;
-    migrated = await resetInvalidSettingsToDefault("world") || migrated;
+    for (const key of keys) {
+        pending.delete(key);
 
-    return migrated;
+        if (!confirmed)
+            postponed.add(key);
+    }
+
+    if (!confirmed) {
+        // The fog exploration wasn't updated while the GM decided, so the vision is refreshed as after a migration
+        onMigration(true);
+
+        return false;
+    }
+
+    return await applyMigrations(migrations);
 }
 
-async function migrateClientSettings() {
-    let migrated = false;
+// Returns true if the migration of the settings, the viewed scene, or its tokens awaits the GM's decision
+function isViewPending() {
+    if (pending.size === 0)
+        return false;
 
-    migrated = await migrate("client", async function (version) { /* ... */ }) || migrated;
-    migrated = await resetInvalidSettingsToDefault("client") || migrated;
+    if (pending.has("world") || pending.has("client"))
+        return true;
 
-    return migrated;
+    if (canvas.scene && pending.has(getKey(canvas.scene)))
+        return true;
+
+    return canvas.tokens.placeables.some(token => pending.has(getKey(token)) || token.actor && pending.has(getKey(token.actor)));
 }
 
-async function migrateSettings() {
+async function migrateEntity(entity) {
+    if (migrating)
+        return false;
+
+    const migration = planMigration(entity);
+
+    if (!migration)
+        return false;
+
+    return await migrateWithReport([migration]);
+}
+
+async function resetInvalidSettingsToDefault(scope) {
     let migrated = false;
 
-    migrated = await migrateClientSettings() || migrated;
-    migrated = await migrateWorldSettings() || migrated;
+    for (const s of game.settings.settings.values()) {
+        if (s.module !== "perfect-vision")
+            continue;
+
+        if (s.scope !== scope)
+            continue;
+
+        if (s.choices && !s.choices[game.settings.get(s.module, s.key)]) {
+            await game.settings.set(s.module, s.key, s.default);
+
+            migrated = true;
+        }
+    }
 
     return migrated;
 }
@@ -270,10 +585,11 @@ async function migrateSettings() {
 async function migrateAll() {
     let migrated = false;
 
-    migrated = await migrateSettings() || migrated;
-    migrated = await migrateActors() || migrated;
-    migrated = await migrateScenes() || migrated;
-    migrated = await migrateTokens() || migrated;
+    migrated = await migrateWithReport(planAll()) || migrated;
+    migrated = await resetInvalidSettingsToDefault("client") || migrated;
+
+    if (game.user === migrator)
+        migrated = await resetInvalidSettingsToDefault("world") || migrated;
 
     return migrated;
 }
@@ -320,7 +636,7 @@ Hooks.once("init", () => {
         config: false,
         type: Number,
         default: 0,
-        onChange: () => migrateWorldSettings()
+        onChange: () => migrateEntity("world").then(onMigration)
     });
 
     game.settings.register("perfect-vision", "_clientVersion", {
@@ -330,7 +646,7 @@ Hooks.once("init", () => {
         config: false,
         type: Number,
         default: 0,
-        onChange: () => migrateClientSettings()
+        onChange: () => migrateEntity("client").then(onMigration)
     });
 
     patch("Game.prototype.initializeEntities", "POST", function () {
@@ -349,8 +665,9 @@ Hooks.once("init", () => {
         return arguments[0];
     });
 
+    // The fog exploration isn't updated with the vision of legacy settings that are about to be migrated
     patch("SightLayer.prototype.refresh", "PRE", function (opts) {
-        if (!ready) {
+        if (!ready || isViewPending()) {
             opts = opts ?? {};
             opts.noUpdateFog = true;
             return [opts];
@@ -393,31 +710,44 @@ Hooks.on("renderSettingsConfig", (sheet, html, data) => {
     html.find(`select[name="perfect-vision.visionRules"]`)[0]?.form?.appendChild(clientVersion);
 });
 
-Hooks.on("updateToken", async (scene, data, update, options, userId) => {
-    if (!hasProperty(update, "flags.perfect-vision"))
+Hooks.on("updateToken", async (...args) => {
+    const { scene, document, change } = parseUpdateTokenArgs(...args);
+
+    if (!hasProperty(change, "flags.perfect-vision"))
         return;
 
-    await migrateToken(new Token(data, scene)).then(onMigration);
+    let token;
+
+    if (isNewerVersion(game.data.version, "0.8")) {
+        token = document;
+    } else {
+        token = new Token(document, scene);
+    }
+
+    await migrateEntity(token).then(onMigration);
 });
 
-Hooks.on("updateActor", async (actor, update, options, userId) => {
-    if (!hasProperty(update, "flags.perfect-vision"))
+Hooks.on("updateActor", async (actor, change, options, userId) => {
+    if (!hasProperty(change, "token.flags.perfect-vision"))
         return;
 
-    await migrateActor(actor).then(onMigration);
+    await migrateEntity(actor).then(onMigration);
 });
 
-Hooks.on("updateScene", async (scene, update, options, userId) => {
-    if (!hasProperty(update, "flags.perfect-vision"))
+Hooks.on("updateScene", async (scene, change, options, userId) => {
+    if (!hasProperty(change, "flags.perfect-vision"))
         return;
 
-    await migrateScene(scene).then(onMigration);
+    await migrateEntity(scene).then(onMigration);
 });
 
 Hooks.once("ready", async () => {
-    await migrateAll();
+    const migration = migrateAll();
 
+    // The migration may wait for the GM's decision, which must not delay the fog exploration of the entities that are migrated already
     ready = true;
 
     refresh();
+
+    await migration.then(onMigration);
 });
@@ -0,0 +1,77 @@
+import { extend } from "./extend.js";
+import { computeFov } from "./vision.js";
+import { getAmbientLightLevel, isGlobalLight } from "./visibility.js";
+
+const colors = [0x2040a0, 0xc0a020, 0xffff80];
+const darknessColor = 0x600060;
+const magicalDarknessColor = 0x200020;
+
+function drawOverlay() {
+    if (!canvas?.ready)
+        return;
+
+    const lighting_ = extend(canvas.lighting);
+
+    let overlay = lighting_.lightingOverlay;
+
+    const enabled = game.user.isGM && game.settings.get("perfect-vision", "lightingOverlay");
+
+    if (!enabled) {
+        if (overlay && !overlay.destroyed)
+            overlay.visible = false;
+
+        return;
+    }
+
+    if (!overlay || overlay.destroyed || overlay.parent !== canvas.lighting) {
+        overlay = lighting_.lightingOverlay = canvas.lighting.addChild(new PIXI.Graphics());
+        overlay.filters = [new PIXI.filters.AlphaFilter(0.5)];
+    }
+
+    const d = canvas.dimensions;
+
+    const ambient = getAmbientLightLevel();
+
+    overlay.clear();
+    overlay.beginFill(colors[ambient]).drawRect(0, 0, d.width, d.height).endFill();
+
+    const sources = Array.from(canvas.lighting.sources).filter(source => source.active && source.fov && !isGlobalLight(source));
+    const lights = sources.filter(source => !(source.isDarkness ?? source.darkness));
+    const darknesses = sources.filter(source => source.isDarkness ?? source.darkness);
+
+    if (ambient < 1) {
+        for (const source of lights) {
+            if (Math.max(Math.abs(source.dim), Math.abs(source.bright)) > 0)
+                overlay.beginFill(colors[1]).drawPolygon(source.fov.points).endFill();
+        }
+    }
+
+    if (ambient < 2) {
+        for (const source of lights) {
+            const bright = Math.min(Math.abs(source.bright), Math.abs(source.radius));
+
+            if (bright > 0)
+                overlay.beginFill(colors[2]).drawPolygon(computeFov(source, bright).points).endFill();
+        }
+    }
+
+    for (const source of darknesses) {
+        overlay.beginFill(extend(source).magicalDarkness ? magicalDarknessColor : darknessColor)
+            .drawPolygon(source.fov.points).endFill();
+    }
+
+    overlay.visible = true;
+}
+
+Hooks.once("init", () => {
+    game.settings.register("perfect-vision", "lightingOverlay", {
+        name: "Lighting Overlay",
+        scope: "client",
+        config: false,
+        type: Boolean,
+        default: false,
+        onChange: () => drawOverlay()
+    });
+});
+
+Hooks.on("lightingRefresh", () => drawOverlay());
@@ -1,39 +1,249 @@
-export const presets = {
-    "fvtt": {
-        dimVisionInDarkness: "dim",
-        dimVisionInDimLight: "dim",
-        brightVisionInDarkness: "bright",
-        brightVisionInDimLight: "bright"
-    },
-    "dnd35e": {
-        dimVisionInDarkness: "darkness",
-        dimVisionInDimLight: "dim",
-        brightVisionInDarkness: "bright_mono",
-        brightVisionInDimLight: "dim"
-    },
-    "dnd5e": {
-        dimVisionInDarkness: "dim_mono",
-        dimVisionInDimLight: "bright",
-        brightVisionInDarkness: "bright",
-        brightVisionInDimLight: "bright"
-    },
-    "pf1e": {
-        dimVisionInDarkness: "darkness",
-        dimVisionInDimLight: "dim",
-        brightVisionInDarkness: "bright_mono",
-        brightVisionInDimLight: "dim"
-    },
-    "pf2e": {
-        dimVisionInDarkness: "darkness",
-        dimVisionInDimLight: "bright",
-        brightVisionInDarkness: "bright_mono",
-        brightVisionInDimLight: "bright"
+export const presets = {};
+
+const systems = {};
+
+let initialized = false;
+
+const legacyKeys = [
+    "dimVisionInDarkness",
+    "dimVisionInDimLight",
+    "brightVisionInDarkness",
+    "brightVisionInDimLight"
+];
+
+const legacyChoices = {
+    dimVisionInDarkness: ["bright", "bright_mono", "dim", "dim_mono", "scene", "scene_mono", "darkness"],
+    dimVisionInDimLight: ["bright", "dim"],
+    brightVisionInDarkness: ["bright", "bright_mono", "dim", "dim_mono", "scene", "scene_mono", "darkness"],
+    brightVisionInDimLight: ["bright", "dim"]
+};
+
+export const bandChoices = {
+    radius: {
+        "dim": "Dim Vision",
+        "bright": "Bright Vision",
+        "unlimited": "Unlimited",
+        "distance": "Distance"
     },
+    darkness: {
+        "bright": "Bright Light",
+        "dim": "Dim Light",
+        "scene": "Scene Darkness",
+        "darkness": "Total Darkness"
+    }
 };
 
+function parseBand(band) {
+    if (typeof band !== "object" || band === null)
+        return null;
+
+    let radius = band.radius;
+
+    if (!bandChoices.radius.hasOwnProperty(radius) || radius === "distance") {
+        radius = parseFloat(radius);
+
+        if (!(radius >= 0))
+            return null;
+    }
+
+    if (!bandChoices.darkness.hasOwnProperty(band.darkness))
+        return null;
+
+    return {
+        radius,
+        darkness: band.darkness,
+        dimToBright: !!band.dimToBright,
+        mono: !!band.mono
+    };
+}
+
+export function parseBands(bands) {
+    if (typeof bands === "string") {
+        if (!bands)
+            return null;
+
+        try {
+            bands = JSON.parse(bands);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    if (!Array.isArray(bands))
+        return null;
+
+    bands = bands.map(parseBand);
+
+    if (bands.some(band => !band))
+        return null;
+
+    return bands;
+}
+
+// Converts the dim/bright vision rules of earlier versions into bands
+export function convertLegacyRules(rules) {
+    if (!legacyKeys.every(key => legacyChoices[key].includes(rules?.[key])))
+        return null;
+
+    const band = (radius, inDarkness, inDimLight) => ({
+        radius,
+        darkness: inDarkness.replace("_mono", ""),
+        dimToBright: inDimLight === "bright",
+        mono: inDarkness.endsWith("_mono")
+    });
+
+    return [
+        band("bright", rules.brightVisionInDarkness, rules.brightVisionInDimLight),
+        band("dim", rules.dimVisionInDarkness, rules.dimVisionInDimLight)
+    ];
+}
+
+export function getLegacyRules(document) {
+    const rules = {};
+
+    for (const key of legacyKeys) {
+        rules[key] = document
+            ? document.getFlag("perfect-vision", key)
+            : game.settings.get("perfect-vision", key);
+    }
+
+    return rules;
+}
+
+export function registerPreset(id, label, bands, { systems: systemIds = [] } = {}) {
+    if (typeof id !== "string" || !id || id === "custom" || id === "default")
+        throw new Error(`Perfect Vision | Invalid preset id: ${id}`);
+
+    if (presets[id])
+        throw new Error(`Perfect Vision | Preset already registered: ${id}`);
+
+    // Presets of earlier versions are objects with dim/bright vision rules
+    const parsedBands = Array.isArray(bands) ? parseBands(bands) : convertLegacyRules(bands);
+
+    if (!parsedBands)
+        throw new Error(`Perfect Vision | Invalid bands in preset ${id}`);
+
+    const preset = {
+        _id: id,
+        _label: String(label ?? id),
+        bands: parsedBands
+    };
+
+    presets[id] = preset;
+
+    for (const systemId of systemIds)
+        systems[systemId] = id;
+
+    // Presets registered after init are added to the choices of the already registered setting
+    if (initialized) {
+        const setting = game.settings.settings.get("perfect-vision.visionRules");
+
+        if (setting)
+            setting.choices[id] = preset._label;
+    }
+
+    return preset;
+}
+
+registerPreset("fvtt", "Foundry VTT", [
+    { radius: "bright", darkness: "bright", dimToBright: true, mono: false },
+    { radius: "dim", darkness: "dim", dimToBright: false, mono: false }
+]);
+
+registerPreset("dnd35e", "Dungeons & Dragons 3.5e", [
+    { radius: "bright", darkness: "bright", dimToBright: false, mono: true },
+    { radius: "dim", darkness: "darkness", dimToBright: false, mono: false }
+], { systems: ["D35E"] });
+
+registerPreset("dnd5e", "Dungeons & Dragons 5e", [
+    { radius: "bright", darkness: "bright", dimToBright: true, mono: false },
+    { radius: "dim", darkness: "dim", dimToBright: true, mono: true }
+], { systems: ["dnd5e"] });
+
+registerPreset("pf1e", "Pathfinder 1e", [
+    { radius: "bright", darkness: "bright", dimToBright: false, mono: true },
+    { radius: "dim", darkness: "darkness", dimToBright: false, mono: false }
+], { systems: ["pf1"] });
+
+registerPreset("pf2e", "Pathfinder 2e", [
+    { radius: "bright", darkness: "bright", dimToBright: true, mono: true },
+    { radius: "dim", darkness: "darkness", dimToBright: true, mono: false }
+], { systems: ["pf2e"] });
+
+registerPreset("sfrpg", "Starfinder", [
+    { radius: "bright", darkness: "bright", dimToBright: false, mono: true },
+    { radius: "dim", darkness: "darkness", dimToBright: true, mono: false }
+], { systems: ["sfrpg"] });
+
+// Low light vision ignores the penalties for dim and dark lighting, but not for pitch darkness (SWADE, Illumination)
+registerPreset("swade", "Savage Worlds", [
+    { radius: "bright", darkness: "bright", dimToBright: true, mono: false },
+    { radius: "dim", darkness: "darkness", dimToBright: true, mono: false }
+], { systems: ["swade"] });
+
+registerPreset("ose", "Old-School Essentials", [
+    { radius: "bright", darkness: "dim", dimToBright: false, mono: true },
+    { radius: "dim", darkness: "darkness", dimToBright: false, mono: false }
+], { systems: ["ose"] });
+
+registerPreset("wfrp4e", "Warhammer Fantasy Roleplay 4e", [
+    { radius: "bright", darkness: "bright", dimToBright: true, mono: false },
+    { radius: "dim", darkness: "darkness", dimToBright: true, mono: false }
+], { systems: ["wfrp4e"] });
+
+registerPreset("shadowrun", "Shadowrun", [
+    { radius: "bright", darkness: "dim", dimToBright: true, mono: true },
+    { radius: "dim", darkness: "darkness", dimToBright: true, mono: false }
+], { systems: ["shadowrun5e", "shadowrun6-eden"] });
+
+export function getPreset(id) {
+    return presets[id] ?? presets["default"];
+}
+
+export function getVisionBands(...documents) {
+    for (const document of [...documents.filter(document => document), null]) {
+        let visionRules;
+
+        if (document) {
+            visionRules = document.getFlag("perfect-vision", "visionRules") || "default";
+        } else {
+            visionRules = game.settings.get("perfect-vision", "visionRules");
+        }
+
+        if (visionRules === "default")
+            continue;
+
+        if (visionRules === "custom") {
+            const bands = parseBands(document
+                ? document.getFlag("perfect-vision", "visionBands")
+                : game.settings.get("perfect-vision", "visionBands"))
+                ?? convertLegacyRules(getLegacyRules(document));
+
+            if (bands)
+                return bands;
+        } else {
+            return getPreset(visionRules).bands;
+        }
+    }
+
+    return presets["default"].bands;
+}
+
+export function getPresetChoices() {
+    const choices = {};
+
+    for (const [id, preset] of Object.entries(presets)) {
+        if (id !== "default")
+            choices[id] = preset._label;
+    }
+
+    return choices;
+}
+
 Hooks.once("init", () => {
-    for (const [id, preset] of Object.entries(presets))
-        preset._id = id;
+    Hooks.callAll("perfectVision.registerPresets", registerPreset);
+
+    presets["default"] = presets[systems[game.system.id] ?? "fvtt"];
 
-    presets["default"] = presets[game.system.id === "dnd5e" ? "dnd5e" : (game.system.id === "pf1" ? "pf1e" : (game.system.id === "pf2e" ? "pf2e" : (game.system.id === "D35E" ? "dnd35e" : "fvtt")))];
+    initialized = true;
 });
@@ -0,0 +1,157 @@
+import { refreshTokens } from "./actor.js";
+import { patch } from "./patch.js";
+
+let previewTokens = null;
+
+export function isPreviewActive() {
+    return !!previewTokens;
+}
+
+function canObserve(token, user) {
+    const actor = token.actor;
+
+    if (!actor)
+        return false;
+
+    if (isNewerVersion(game.data.version, "0.8")) {
+        return actor.testUserPermission(user, "OBSERVER");
+    } else {
+        return actor.hasPerm(user, "OBSERVER");
+    }
+}
+
+export function startPreview(tokens) {
+    if (!game.user.isGM)
+        throw new Error("Perfect Vision | Only the GM can view the scene as a token");
+
+    previewTokens = new Set(tokens.map(token => token.id));
+
+    updateControls();
+    refreshTokens(canvas.tokens.placeables);
+}
+
+export function stopPreview() {
+    if (!previewTokens)
+        return;
+
+    previewTokens = null;
+
+    updateControls();
+
+    if (canvas?.ready)
+        refreshTokens(canvas.tokens.placeables);
+}
+
+function updateControls() {
+    const tool = ui.controls?.controls?.find(c => c.name === "token")?.tools.find(t => t.name === "perfect-vision.viewAsToken");
+
+    if (tool && tool.active !== isPreviewActive()) {
+        tool.active = isPreviewActive();
+        ui.controls.render();
+    }
+}
+
+function openPreviewDialog() {
+    const controlled = canvas.tokens.controlled.filter(token => token.hasSight);
+    const users = game.users.filter(user => !user.isGM);
+
+    new Dialog({
+        title: "View as Token",
+        content: `\
+            <form>
+                <div class="form-group">
+                    <label>View as:</label>
+                    <select name="viewAs">
+                        <option value="">Controlled Tokens (${controlled.length})</option>
+                        ${users.map(user => `<option value="${user.id ?? user._id}">${user.name}'s Tokens</option>`).join("")}
+                    </select>
+                </div>
+                <p class="notes">The scene is rendered the way the selected tokens see it. Click the tool again to return to the GM view.</p>
+            </form>`,
+        buttons: {
+            view: {
+                icon: `<i class="fas fa-eye"></i>`,
+                label: "View",
+                callback: html => {
+                    const userId = html.find(`select[name="viewAs"]`).val();
+
+                    let tokens;
+
+                    if (userId) {
+                        const user = game.users.get(userId);
+
+                        tokens = canvas.tokens.placeables.filter(token => token.hasSight && canObserve(token, user));
+                    } else {
+                        tokens = controlled;
+                    }
+
+                    if (tokens.length === 0) {
+                        ui.notifications.warn("Perfect Vision | There are no tokens with vision to view the scene as.");
+                        return;
+                    }
+
+                    startPreview(tokens);
+                }
+            },
+            cancel: {
+                icon: `<i class="fas fa-times"></i>`,
+                label: "Cancel"
+            }
+        },
+        default: "view",
+        close: () => updateControls()
+    }).render(true);
+}
+
+Hooks.once("init", () => {
+    patch("Token.prototype._isVisionSource", "WRAPPER", function (wrapped, ...args) {
+        if (!previewTokens)
+            return wrapped(...args);
+
+        return canvas.sight.tokenVision && this.hasSight && previewTokens.has(this.id);
+    });
+
+    patch("Token.prototype.isVisible", "POST", function (visible) {
+        if (previewTokens && this.data.hidden)
+            return false;
+
+        return visible;
+    });
+
+    // The exploration of the previewed tokens must not become part of the GM's fog of war
+    patch("SightLayer.prototype.refresh", "PRE", function (opts) {
+        if (previewTokens) {
+            opts = opts ?? {};
+            opts.noUpdateFog = true;
+            return [opts];
+        }
+        return arguments;
+    });
+});
+
+Hooks.on("getSceneControlButtons", controls => {
+    const tokenControl = controls.find(c => c.name === "token");
+
+    if (tokenControl) {
+        tokenControl.tools.push({
+            name: "perfect-vision.viewAsToken",
+            title: "View as Token",
+            icon: "fas fa-user-secret",
+            toggle: true,
+            active: isPreviewActive(),
+            visible: game.user.isGM,
+            onClick: toggled => {
+                if (toggled)
+                    openPreviewDialog();
+                else
+                    stopPreview();
+            }
+        });
+    }
+});
+
+Hooks.on("canvasInit", () => {
+    previewTokens = null;
+
+    updateControls();
+});
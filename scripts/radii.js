@@ -0,0 +1,78 @@
+// Pure functions without dependencies on Foundry VTT or PIXI that compute the vision radii of tokens
+
+// Converts a radius in distance units into pixels measured from the center of the token
+export function getLightRadius(units, { gridDistance, gridSize, tokenWidth }) {
+    if (units === 0) return 0;
+    const u = Math.abs(units);
+    const hw = (tokenWidth / 2);
+    return (((u / gridDistance) * gridSize) + hw) * Math.sign(units);
+}
+
+// Computes the radii (in pixels) of the vision of a token from its bands, dim and bright vision and sight limit (in distance units)
+export function computeVisionRadii(bands, { dimSight, brightSight, sightLimit, gridDistance, gridSize, tokenWidth, tokenHeight, maxR }) {
+    const grid = { gridDistance, gridSize, tokenWidth };
+    const minR = Math.min(tokenWidth, tokenHeight) * 0.5;
+
+    let dim = getLightRadius(dimSight, grid);
+    let bright = getLightRadius(brightSight, grid);
+
+    const sign = Math.min(dim, bright) < 0 ? -1 : +1;
+
+    dim = Math.abs(dim);
+    bright = Math.abs(bright);
+
+    dim = Math.min(dim, maxR);
+    bright = Math.min(bright, maxR);
+
+    sightLimit = parseFloat(sightLimit);
+
+    if (!Number.isNaN(sightLimit)) {
+        sightLimit = Math.max(getLightRadius(Math.abs(sightLimit), grid), minR);
+        dim = Math.min(dim, sightLimit);
+        bright = Math.min(bright, sightLimit);
+    }
+
+    const bandRadii = bands.map(band => {
+        let radius;
+
+        if (band.radius === "dim") {
+            radius = dim;
+        } else if (band.radius === "bright") {
+            radius = bright;
+        } else {
+            radius = band.radius === "unlimited" ? maxR : Math.min(getLightRadius(band.radius, grid), maxR);
+
+            if (!Number.isNaN(sightLimit))
+                radius = Math.min(radius, sightLimit);
+        }
+
+        return radius;
+    });
+
+    const maxBandRadius = filter => Math.max(0, ...bands.map((band, i) => filter(band) ? bandRadii[i] : 0));
+
+    return {
+        dim: sign * maxBandRadius(band => band.darkness === "dim"),
+        bright: sign * maxBandRadius(band => band.darkness === "bright"),
+        visionRadius: maxBandRadius(band => band.darkness !== "darkness"),
+        visionRadiusColor: maxBandRadius(band => band.darkness !== "darkness" && !band.mono),
+        visionRadiusDimToBright: maxBandRadius(band => band.dimToBright),
+        sightLimit,
+        minR,
+        sign
+    };
+}
+
+// Computes the radii (in pixels) of the senses of a token from their ranges (in distance units)
+export function computeSenseRadii(ranges, { gridDistance, gridSize, tokenWidth, maxR }) {
+    const grid = { gridDistance, gridSize, tokenWidth };
+    const radii = {};
+
+    for (const [sense, range] of Object.entries(ranges)) {
+        const radius = parseFloat(range);
+
+        radii[sense] = radius > 0 ? Math.min(getLightRadius(radius, grid), maxR) : 0;
+    }
+
+    return radii;
+}
@@ -0,0 +1,123 @@
+// The day/night cycle of a scene is a list of keyframes. The time of a keyframe is the hour of the day (0 to 24), and
+// the darkness level, saturation level, and colors are interpolated between the keyframes.
+
+const secondsPerDay = 86400;
+
+function parseColor(color) {
+    if (typeof color !== "string" || !/^#[0-9a-f]{6}$/i.test(color))
+        return null;
+
+    return color.toLowerCase();
+}
+
+function parseKeyframe(keyframe) {
+    if (typeof keyframe !== "object" || keyframe === null)
+        return null;
+
+    const time = parseFloat(keyframe.time);
+    const darkness = parseFloat(keyframe.darkness);
+
+    if (!(time >= 0 && time <= 24) || !(darkness >= 0 && darkness <= 1))
+        return null;
+
+    let saturation = parseFloat(keyframe.saturation);
+
+    if (!(saturation >= 0 && saturation <= 1))
+        saturation = null;
+
+    return {
+        time,
+        darkness,
+        saturation,
+        daylightColor: parseColor(keyframe.daylightColor),
+        darknessColor: parseColor(keyframe.darknessColor)
+    };
+}
+
+export function parseSchedule(schedule) {
+    if (typeof schedule === "string") {
+        if (!schedule)
+            return null;
+
+        try {
+            schedule = JSON.parse(schedule);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    if (!Array.isArray(schedule) || schedule.length === 0)
+        return null;
+
+    const keyframes = schedule.map(parseKeyframe);
+
+    if (keyframes.includes(null))
+        return null;
+
+    return keyframes.sort((a, b) => a.time - b.time);
+}
+
+function mixColors(a, b, t) {
+    if (!a || !b)
+        return t < 0.5 ? a : b;
+
+    const x = hexToRGB(colorStringToHex(a));
+    const y = hexToRGB(colorStringToHex(b));
+
+    return "#" + ("000000" + rgbToHex(x.map((c, i) => c + (y[i] - c) * t)).toString(16)).slice(-6);
+}
+
+// Returns the darkness level, saturation level, and colors of the scene at the world time, or null if the scene has no day/night cycle
+export function getScheduledLighting(scene, worldTime = game.time?.worldTime ?? 0) {
+    if (!scene?.getFlag("perfect-vision", "scheduleEnabled"))
+        return null;
+
+    const keyframes = parseSchedule(scene.getFlag("perfect-vision", "schedule"));
+
+    if (!keyframes)
+        return null;
+
+    const hour = (((worldTime % secondsPerDay) + secondsPerDay) % secondsPerDay) / 3600;
+
+    // The cycle repeats every day: the last keyframe of the day precedes the first keyframe of the next day
+    let i = keyframes.findIndex(keyframe => keyframe.time > hour);
+
+    if (i < 0)
+        i = 0;
+
+    const next = keyframes[i];
+    const prev = keyframes[(i + keyframes.length - 1) % keyframes.length];
+
+    let duration = next.time - prev.time;
+    let elapsed = hour - prev.time;
+
+    if (duration <= 0)
+        duration += 24;
+
+    if (elapsed < 0)
+        elapsed += 24;
+
+    const t = duration > 0 ? Math.clamped(elapsed / duration, 0, 1) : 0;
+
+    let saturation = null;
+
+    if (prev.saturation !== null && next.saturation !== null)
+        saturation = prev.saturation + (next.saturation - prev.saturation) * t;
+    else
+        saturation = t < 0.5 ? prev.saturation : next.saturation;
+
+    return {
+        darkness: prev.darkness + (next.darkness - prev.darkness) * t,
+        saturation,
+        daylightColor: mixColors(prev.daylightColor, next.daylightColor, t),
+        darknessColor: mixColors(prev.darknessColor, next.darknessColor, t)
+    };
+}
+
+Hooks.on("updateWorldTime", () => {
+    if (!canvas?.ready || !getScheduledLighting(canvas.scene))
+        return;
+
+    // The refresh of the lighting layer applies the scheduled darkness level, saturation level, and colors
+    canvas.lighting.refresh();
+});
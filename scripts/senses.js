@@ -0,0 +1,122 @@
+import { extend } from "./extend.js";
+import { patch } from "./patch.js";
+import { isHiddenInDarkness } from "./visibility.js";
+
+export const senses = {
+    blindsight: { name: "Blindsight", mono: true, walls: "blocked", darkness: "magical" },
+    tremorsense: { name: "Tremorsense", tokensOnly: true, walls: "ignored" },
+    truesight: { name: "Truesight", mono: false, walls: "blocked", darkness: "magical" }
+};
+
+export function getSenseRules(sense) {
+    return {
+        walls: game.settings.get("perfect-vision", `${sense}Walls`),
+        darkness: senses[sense].tokensOnly ? null : game.settings.get("perfect-vision", `${sense}Darkness`)
+    };
+}
+
+function isDetectedByTremorsense(token) {
+    if ((token.data.elevation ?? 0) > 0)
+        return false;
+
+    const center = token.center;
+    const tolerance = Math.min(token.w, token.h) / 2;
+
+    for (const source of canvas.sight.sources) {
+        if (!source.active) continue;
+
+        const source_ = extend(source);
+
+        if (!(source_.tremorsense > 0))
+            continue;
+
+        const ray = new Ray(source, center);
+
+        if (ray.distance > source_.tremorsense + tolerance)
+            continue;
+
+        if (getSenseRules("tremorsense").walls === "blocked") {
+            let collision;
+
+            if (isNewerVersion(game.data.version, "0.8")) {
+                collision = canvas.walls.checkCollision(ray, { type: "sight" });
+            } else {
+                collision = canvas.walls.checkCollision(ray, { blockMovement: false, blockSenses: true });
+            }
+
+            if (collision)
+                continue;
+        }
+
+        return true;
+    }
+
+    return false;
+}
+
+Hooks.once("init", () => {
+    for (const [sense, { name, tokensOnly, walls, darkness }] of Object.entries(senses)) {
+        game.settings.register("perfect-vision", `${sense}Walls`, {
+            name: `${name}: Walls`,
+            hint: tokensOnly
+                ? `Controls whether ${name.toLowerCase()} detects tokens on the ground behind walls that block sight.`
+                : `Controls whether ${name.toLowerCase()} reveals areas behind walls that block sight.`,
+            scope: "world",
+            config: true,
+            type: String,
+            choices: {
+                "blocked": "Blocked by Walls",
+                "ignored": "Ignores Walls",
+            },
+            default: walls,
+            onChange: () => refresh()
+        });
+
+        if (tokensOnly)
+            continue;
+
+        game.settings.register("perfect-vision", `${sense}Darkness`, {
+            name: `${name}: Darkness`,
+            hint: `If set to Ignores Darkness, ${name.toLowerCase()} works in areas that are not illuminated by light sources like bright vision does, and if set to Ignores Magical Darkness, it also works inside of magical darkness. Otherwise, the revealed areas are illuminated according to the scene's Darkness Level only.`,
+            scope: "world",
+            config: true,
+            type: String,
+            choices: {
+                "magical": "Ignores Magical Darkness",
+                "darkness": "Ignores Darkness",
+                "none": "Requires Light",
+            },
+            default: darkness,
+            onChange: () => refresh()
+        });
+    }
+
+    patch("Token.prototype.isVisible", "POST", function (visible) {
+        if (this.data.hidden || !canvas.sight.tokenVision)
+            return visible;
+
+        if (visible && isHiddenInDarkness(this))
+            visible = false;
+
+        return visible || isDetectedByTremorsense(this);
+    });
+});
+
+function refresh() {
+    if (!canvas?.ready)
+        return;
+
+    for (const token of canvas.tokens.placeables) {
+        token.updateSource({ defer: true });
+    }
+
+    if (isNewerVersion(game.data.version, "0.8.1")) {
+        canvas.perception.schedule({
+            lighting: { refresh: true },
+            sight: { refresh: true }
+        });
+    } else {
+        canvas.lighting.refresh();
+        canvas.sight.refresh();
+    }
+}
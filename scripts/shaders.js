@@ -0,0 +1,50 @@
+import { monoVisionStyles } from "./mask.js";
+
+export const visionShaders = {};
+
+// Incremented whenever a shader is registered so that the MonoFilter knows when to rebuild its program
+export let visionShadersVersion = 0;
+
+export function registerVisionShader(id, label, source) {
+    if (typeof id !== "string" || !id || id === "default")
+        throw new Error(`Perfect Vision | Invalid vision shader id: ${id}`);
+
+    if (monoVisionStyles[id])
+        throw new Error(`Perfect Vision | Vision style already registered: ${id}`);
+
+    if (typeof source !== "string" || !source)
+        throw new Error(`Perfect Vision | Invalid source of vision shader ${id}`);
+
+    // The style index is stored in the red channel of the style texture
+    if (Object.keys(monoVisionStyles).length >= 256)
+        throw new Error("Perfect Vision | Too many vision styles");
+
+    visionShaders[id] = {
+        _id: id,
+        _label: String(label ?? id),
+        source,
+        valid: undefined
+    };
+
+    // The style setting and the token configuration list the vision styles as choices
+    monoVisionStyles[id] = visionShaders[id]._label;
+
+    visionShadersVersion++;
+}
+
+// Compiles the fragment shader and returns the info log if it fails to compile
+export function compileFragmentShader(gl, source) {
+    const shader = gl.createShader(gl.FRAGMENT_SHADER);
+
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+
+    let log = null;
+
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS))
+        log = gl.getShaderInfoLog(shader) || "Unknown error";
+
+    gl.deleteShader(shader);
+
+    return log;
+}
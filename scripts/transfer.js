@@ -0,0 +1,403 @@
+// The version of the format of the exported configuration
+const formatVersion = 1;
+
+const renderTransferTemplate = Handlebars.compile(`\
+    <form>
+        <p class="notes">Export the settings of this module, the flags of all scenes and their tokens, and the flags of the prototype tokens of all actors to a JSON file, or import them from a file that was exported in this or another world.</p>
+        <div class="form-group">
+            <button type="button" data-action="export"><i class="fas fa-file-export"></i> Export</button>
+            <button type="button" data-action="import"><i class="fas fa-file-import"></i> Import</button>
+        </div>
+        <input type="file" name="file" accept=".json" style="display: none;"/>
+    </form>`
+);
+
+const renderPreviewTemplate = Handlebars.compile(`\
+    <form class="perfect-vision-import">
+        <div class="form-group">
+            <label>Select:</label>
+            <div class="form-fields">
+                <button type="button" data-select="all">All</button>
+                <button type="button" data-select="settings">Settings Only</button>
+                <button type="button" data-select="scene" {{#unless currentSceneIndex}}disabled{{/unless}}>Current Scene Only</button>
+                <button type="button" data-select="none">None</button>
+            </div>
+        </div>
+        {{#if settings.length}}
+        <h3>Settings</h3>
+        {{#each settings}}
+        <div class="form-group">
+            <label class="checkbox"><input type="checkbox" data-group="settings" data-index="{{@index}}" checked/> {{this.name}}</label>
+            <p class="notes">{{this.current}} &rarr; {{this.valueString}}</p>
+        </div>
+        {{/each}}
+        {{/if}}
+        {{#if scenes.length}}
+        <h3>Scenes</h3>
+        {{#each scenes}}
+        <div class="form-group">
+            <label class="checkbox"><input type="checkbox" data-group="scenes" data-index="{{@index}}" checked/> {{this.name}}</label>
+            <p class="notes">{{this.summary}}</p>
+        </div>
+        {{/each}}
+        {{/if}}
+        {{#if actors.length}}
+        <h3>Prototype Tokens</h3>
+        {{#each actors}}
+        <div class="form-group">
+            <label class="checkbox"><input type="checkbox" data-group="actors" data-index="{{@index}}" checked/> {{this.name}}</label>
+            <p class="notes">{{this.summary}}</p>
+        </div>
+        {{/each}}
+        {{/if}}
+        {{#unless changes}}
+        <p>The file doesn't change anything in this world.</p>
+        {{/unless}}
+    </form>`
+);
+
+// Internal keys, e.g. the versions of the migration, belong to the world and are neither exported nor imported
+function isInternal(key) {
+    return key.startsWith("_");
+}
+
+function getFlags(data) {
+    const flags = duplicate(data?.flags?.["perfect-vision"] ?? {});
+
+    for (const key of Object.keys(flags)) {
+        if (isInternal(key))
+            delete flags[key];
+    }
+
+    return flags;
+}
+
+function getTokens(scene) {
+    if (isNewerVersion(game.data.version, "0.8")) {
+        return scene.tokens.map(token => ({ id: token.id, name: token.name, flags: getFlags(token.data) }));
+    } else {
+        return scene.data.tokens.map(token => ({ id: token._id, name: token.name, flags: getFlags(token) }));
+    }
+}
+
+export function exportConfig() {
+    if (!game.user.isGM)
+        throw new Error("Perfect Vision | Only the GM can export the configuration");
+
+    const settings = { world: {}, client: {} };
+
+    for (const setting of game.settings.settings.values()) {
+        if (setting.module !== "perfect-vision" || isInternal(setting.key))
+            continue;
+
+        settings[setting.scope === "client" ? "client" : "world"][setting.key] = game.settings.get(setting.module, setting.key);
+    }
+
+    return {
+        module: "perfect-vision",
+        formatVersion,
+        moduleVersion: game.modules.get("perfect-vision").data.version,
+        settings,
+        scenes: game.scenes.map(scene => ({
+            id: scene.id ?? scene._id,
+            name: scene.name,
+            flags: getFlags(scene.data),
+            tokens: getTokens(scene)
+        })),
+        actors: game.actors.map(actor => ({
+            id: actor.id ?? actor._id,
+            name: actor.name,
+            flags: getFlags(actor.data.token)
+        }))
+    };
+}
+
+// Returns the update of the flags that replaces the current flags with the imported flags, or null if they are equal
+function diffFlags(current, imported, prefix = "flags.perfect-vision") {
+    const update = {};
+
+    for (const [key, value] of Object.entries(imported ?? {})) {
+        if (isInternal(key))
+            continue;
+
+        if (JSON.stringify(current[key]) !== JSON.stringify(value))
+            update[`${prefix}.${key}`] = value;
+    }
+
+    for (const key of Object.keys(current)) {
+        if (!(key in (imported ?? {})))
+            update[`${prefix}.-=${key}`] = null;
+    }
+
+    return Object.keys(update).length > 0 ? update : null;
+}
+
+// Finds the document by id, or by name if the id doesn't exist in this world
+function findDocument(collection, { id, name }) {
+    return collection.find(document => document.id === id) ?? collection.find(document => document.name === name);
+}
+
+function formatValue(value) {
+    const string = JSON.stringify(value) ?? "undefined";
+
+    return string.length > 60 ? string.slice(0, 57) + "..." : string;
+}
+
+// Compares the imported configuration with the current configuration of this world
+export function previewImport(data) {
+    if (data?.module !== "perfect-vision" || typeof data.formatVersion !== "number")
+        throw new Error("Perfect Vision | The file isn't an exported configuration of Perfect Vision");
+
+    if (data.formatVersion > formatVersion)
+        throw new Error("Perfect Vision | The file was exported by a newer version of Perfect Vision");
+
+    const settings = [];
+
+    for (const scope of ["world", "client"]) {
+        for (const [key, value] of Object.entries(data.settings?.[scope] ?? {})) {
+            const setting = game.settings.settings.get(`perfect-vision.${key}`);
+
+            if (!setting || isInternal(key))
+                continue;
+
+            const current = game.settings.get("perfect-vision", key);
+
+            if (JSON.stringify(current) === JSON.stringify(value))
+                continue;
+
+            settings.push({
+                key,
+                value,
+                name: `${game.i18n.localize(setting.name ?? key)}${scope === "client" ? " (Client)" : ""}`,
+                current: formatValue(current),
+                valueString: formatValue(value)
+            });
+        }
+    }
+
+    const scenes = [];
+
+    for (const sceneData of data.scenes ?? []) {
+        const scene = findDocument(game.scenes, sceneData);
+
+        if (!scene)
+            continue;
+
+        const update = diffFlags(getFlags(scene.data), sceneData.flags);
+        const tokenUpdates = [];
+        let unmatchedTokens = 0;
+
+        // Each token is matched at most once, so that tokens with the same name are matched in order
+        let tokens = getTokens(scene);
+
+        for (const tokenData of sceneData.tokens ?? []) {
+            const token = findDocument(tokens, tokenData);
+
+            if (!token) {
+                unmatchedTokens++;
+                continue;
+            }
+
+            tokens = tokens.filter(t => t !== token);
+
+            const tokenUpdate = diffFlags(token.flags, tokenData.flags);
+
+            if (tokenUpdate)
+                tokenUpdates.push({ _id: token.id, ...tokenUpdate });
+        }
+
+        if (!update && tokenUpdates.length === 0 && unmatchedTokens === 0)
+            continue;
+
+        let summary = `${update ? Object.keys(update).length : 0} scene flag(s) and ${tokenUpdates.length} token(s) change`;
+
+        if (unmatchedTokens > 0)
+            summary += `, ${unmatchedTokens} token(s) not found in this scene`;
+
+        scenes.push({
+            scene,
+            update,
+            tokenUpdates,
+            name: scene.name,
+            summary
+        });
+    }
+
+    const actors = [];
+
+    for (const actorData of data.actors ?? []) {
+        const actor = findDocument(game.actors, actorData);
+
+        if (!actor)
+            continue;
+
+        const update = diffFlags(getFlags(actor.data.token), actorData.flags, "token.flags.perfect-vision");
+
+        if (!update)
+            continue;
+
+        actors.push({
+            actor,
+            update,
+            name: actor.name,
+            summary: `${Object.keys(update).length} flag(s) change`
+        });
+    }
+
+    return { settings, scenes, actors };
+}
+
+export async function applyImport({ settings, scenes, actors }) {
+    if (!game.user.isGM)
+        throw new Error("Perfect Vision | Only the GM can import the configuration");
+
+    for (const { key, value } of settings)
+        await game.settings.set("perfect-vision", key, value);
+
+    for (const { scene, update, tokenUpdates } of scenes) {
+        if (update)
+            await scene.update(update);
+
+        if (tokenUpdates.length === 0)
+            continue;
+
+        if (isNewerVersion(game.data.version, "0.8")) {
+            await scene.updateEmbeddedDocuments("Token", tokenUpdates);
+        } else {
+            await scene.updateEmbeddedEntity("Token", tokenUpdates);
+        }
+    }
+
+    for (const { actor, update } of actors)
+        await actor.update(update);
+}
+
+function openPreviewDialog(data) {
+    const changes = previewImport(data);
+    const currentSceneIndex = changes.scenes.findIndex(({ scene }) => scene === game.scenes.viewed);
+
+    new Dialog({
+        title: "Perfect Vision: Import Configuration",
+        content: renderPreviewTemplate({
+            settings: changes.settings,
+            scenes: changes.scenes,
+            actors: changes.actors,
+            changes: changes.settings.length + changes.scenes.length + changes.actors.length > 0,
+            // Handlebars treats 0 as false
+            currentSceneIndex: currentSceneIndex >= 0 ? String(currentSceneIndex) : null
+        }, {
+            allowProtoMethodsByDefault: true,
+            allowProtoPropertiesByDefault: true
+        }),
+        buttons: {
+            import: {
+                icon: `<i class="fas fa-file-import"></i>`,
+                label: "Import",
+                callback: async html => {
+                    const selected = group => changes[group].filter((_, i) =>
+                        html.find(`input[data-group="${group}"][data-index="${i}"]`).prop("checked"));
+
+                    await applyImport({
+                        settings: selected("settings"),
+                        scenes: selected("scenes"),
+                        actors: selected("actors")
+                    });
+
+                    ui.notifications.info("Perfect Vision | Imported the configuration.");
+                }
+            },
+            cancel: {
+                icon: `<i class="fas fa-times"></i>`,
+                label: "Cancel"
+            }
+        },
+        default: "import",
+        render: html => {
+            html.find("[data-select]").click(event => {
+                event.preventDefault();
+
+                const select = event.currentTarget.dataset.select;
+
+                html.find("input[data-group]").each((_, input) => {
+                    const { group, index } = input.dataset;
+
+                    if (select === "all")
+                        input.checked = true;
+                    else if (select === "settings")
+                        input.checked = group === "settings";
+                    else if (select === "scene")
+                        input.checked = group === "scenes" && Number(index) === currentSceneIndex;
+                    else
+                        input.checked = false;
+                });
+            });
+        }
+    }, {
+        width: 480
+    }).render(true);
+}
+
+export class ConfigTransfer extends FormApplication {
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "perfect-vision-config-transfer",
+            title: "Perfect Vision: Export/Import Configuration",
+            width: 400
+        });
+    }
+
+    async _renderInner(data) {
+        return $(renderTransferTemplate(data));
+    }
+
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find(`[data-action="export"]`).click(event => {
+            event.preventDefault();
+
+            saveDataToFile(JSON.stringify(exportConfig(), null, 2), "text/json", `perfect-vision-${game.world.id ?? game.world.name}.json`);
+        });
+
+        html.find(`[data-action="import"]`).click(event => {
+            event.preventDefault();
+
+            html.find(`input[name="file"]`).val("").click();
+        });
+
+        html.find(`input[name="file"]`).change(async event => {
+            const file = event.currentTarget.files[0];
+
+            if (!file)
+                return;
+
+            let data;
+
+            try {
+                data = JSON.parse(await readTextFromFile(file));
+            } catch (e) {
+                ui.notifications.error("Perfect Vision | The file isn't valid JSON.");
+                return;
+            }
+
+            try {
+                openPreviewDialog(data);
+            } catch (e) {
+                ui.notifications.error(e.message);
+            }
+        });
+    }
+
+    async _updateObject(event, formData) { }
+}
+
+Hooks.once("init", () => {
+    game.settings.registerMenu("perfect-vision", "configTransfer", {
+        name: "Export/Import Configuration",
+        label: "Export/Import",
+        hint: "Export the settings of this module and the flags of scenes, tokens, and prototype tokens to a JSON file, or import them with a preview of the changes.",
+        icon: "fas fa-exchange-alt",
+        type: ConfigTransfer,
+        restricted: true
+    });
+});
@@ -30,3 +30,153 @@ export function grayscale(c, d = null) {
     d[2] = d[1] = d[0] = y;
     return d;
 }
+
+function toVertices(x, y, points) {
+    const vertices = [];
+    let area = 0;
+
+    for (let i = 0, n = points.length; i < n; i += 2) {
+        const px = points[i];
+        const py = points[i + 1];
+        const qx = points[(i + 2) % n];
+        const qy = points[(i + 3) % n];
+
+        area += (px - x) * (qy - y) - (qx - x) * (py - y);
+        vertices.push({ x: px, y: py, a: Math.atan2(py - y, px - x) });
+    }
+
+    if (area < 0)
+        vertices.reverse();
+
+    let start = 0;
+
+    for (let i = 1; i < vertices.length; i++) {
+        if (vertices[i].a < vertices[start].a)
+            start = i;
+    }
+
+    return [...vertices.slice(start), ...vertices.slice(0, start)];
+}
+
+function radialDistance(x, y, vertices, a) {
+    const n = vertices.length;
+
+    if (n < 3)
+        return 0;
+
+    let lo = 0;
+    let hi = n - 1;
+
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+
+        if (vertices[mid].a <= a)
+            lo = mid;
+        else
+            hi = mid - 1;
+    }
+
+    const p = vertices[vertices[lo].a <= a ? lo : n - 1];
+    const q = vertices[vertices[lo].a <= a ? (lo + 1) % n : 0];
+    const dx = Math.cos(a);
+    const dy = Math.sin(a);
+    const ex = q.x - p.x;
+    const ey = q.y - p.y;
+    const d = dx * ey - dy * ex;
+
+    if (Math.abs(d) < 1e-9)
+        return Math.max(Math.hypot(p.x - x, p.y - y), Math.hypot(q.x - x, q.y - y));
+
+    return Math.max(((p.x - x) * ey - (p.y - y) * ex) / d, 0);
+}
+
+// Computes the union of polygons that are star-shaped with respect to the point (x, y)
+export function unionStarShaped(x, y, ...polygons) {
+    polygons = polygons.map(points => toVertices(x, y, points)).filter(vertices => vertices.length >= 3);
+
+    if (polygons.length === 0)
+        return [];
+
+    const epsilon = 1e-6;
+    const angles = Array.from(new Set(polygons.flatMap(vertices => vertices.map(v => v.a)))).sort((a, b) => a - b);
+    const points = [];
+
+    const sample = a => {
+        let r = 0;
+        let k = 0;
+
+        for (let i = 0; i < polygons.length; i++) {
+            const d = radialDistance(x, y, polygons[i], a);
+
+            if (d > r) {
+                r = d;
+                k = i;
+            }
+        }
+
+        return { r, k };
+    };
+
+    const push = (a, r) => {
+        const px = x + Math.cos(a) * r;
+        const py = y + Math.sin(a) * r;
+        const n = points.length;
+
+        if (n === 0 || Math.abs(points[n - 2] - px) > 1e-3 || Math.abs(points[n - 1] - py) > 1e-3)
+            points.push(px, py);
+    };
+
+    for (let i = 0; i < angles.length; i++) {
+        const a0 = angles[i];
+        const a1 = i + 1 < angles.length ? angles[i + 1] : angles[0] + 2 * Math.PI;
+        const s0 = sample(a0 - epsilon);
+        const s1 = sample(a0 + epsilon);
+
+        push(a0, s0.r);
+        push(a0, s1.r);
+
+        // The polygon with the largest radial distance might change between two consecutive angles
+        const s2 = sample(a1 - epsilon);
+
+        if (s1.k !== s2.k) {
+            const r0 = radialDistance(x, y, polygons[s2.k], a0 + epsilon);
+            const r1 = radialDistance(x, y, polygons[s1.k], a1 - epsilon);
+            const p0x = Math.cos(a0) * s1.r, p0y = Math.sin(a0) * s1.r;
+            const p1x = Math.cos(a1) * r1, p1y = Math.sin(a1) * r1;
+            const q0x = Math.cos(a0) * r0, q0y = Math.sin(a0) * r0;
+            const q1x = Math.cos(a1) * s2.r, q1y = Math.sin(a1) * s2.r;
+            const ex = p1x - p0x, ey = p1y - p0y;
+            const fx = q1x - q0x, fy = q1y - q0y;
+            const d = ex * fy - ey * fx;
+
+            if (Math.abs(d) > 1e-9) {
+                const t = ((q0x - p0x) * fy - (q0y - p0y) * fx) / d;
+
+                if (t > 0 && t < 1) {
+                    const cx = p0x + ex * t;
+                    const cy = p0y + ey * t;
+
+                    push(Math.atan2(cy, cx), Math.hypot(cx, cy));
+                }
+            }
+        }
+    }
+
+    return points;
+}
+
+// The arguments of the updateToken hook differ between 0.7 and 0.8
+export function parseUpdateTokenArgs(document, change, options, userId, arg) {
+    let scene;
+    let id;
+
+    if (isNewerVersion(game.data.version, "0.8")) {
+        scene = document.parent;
+        id = document.id;
+    } else {
+        [scene, document, change, options, userId] = [document, change, options, userId, arg];
+        id = document._id;
+    }
+
+    return { scene, document, change, options, userId, id };
+}
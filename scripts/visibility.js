@@ -0,0 +1,258 @@
+import { extend } from "./extend.js";
+import { patch } from "./patch.js";
+
+const lightLevels = ["dark", "dim", "bright"];
+
+// Returns true if the source is the global illumination light, which is a light source before 0.8.5
+export function isGlobalLight(source) {
+    const ilm_ = extend(canvas.lighting.illumination);
+
+    return source === ilm_.globalLight || source === ilm_.globalLight2;
+}
+
+// Returns the light level (0: dark, 1: dim, 2: bright) at the point that is caused by light sources and global illumination
+export function getLightLevel(x, y) {
+    let level = 0;
+    let darkness = false;
+    let magicalDarkness = false;
+
+    for (const source of canvas.lighting.sources) {
+        if (!source.active || !source.fov?.contains(x, y) || isGlobalLight(source))
+            continue;
+
+        const distance = Math.hypot(x - source.x, y - source.y);
+
+        if (source.isDarkness ?? source.darkness) {
+            if (distance <= Math.abs(source.radius)) {
+                darkness = true;
+
+                if (extend(source).magicalDarkness)
+                    magicalDarkness = true;
+            }
+
+            continue;
+        }
+
+        if (distance <= Math.abs(source.bright)) {
+            level = 2;
+        } else if (distance <= Math.max(Math.abs(source.dim), Math.abs(source.bright))) {
+            level = Math.max(level, 1);
+        }
+    }
+
+    // Darkness sources darken the scene regardless of global illumination
+    if (darkness)
+        level = 0;
+    else
+        level = Math.max(level, getAmbientLightLevel());
+
+    return { level, darkness, magicalDarkness };
+}
+
+// Returns the light level (0: dark, 1: dim, 2: bright) of global illumination, which is active only if the darkness level doesn't exceed the threshold
+export function computeAmbientLightLevel(darknessLevel, globalLight, globalLightThreshold, illumination) {
+    if (!globalLight)
+        return 0;
+
+    if (globalLightThreshold != null && darknessLevel > globalLightThreshold)
+        return 0;
+
+    return Math.max(lightLevels.indexOf(illumination), 0);
+}
+
+// Returns the light level (0: dark, 1: dim, 2: bright) in areas without light sources
+export function getAmbientLightLevel() {
+    const sd = canvas.scene.data;
+    const darknessLevel = canvas.lighting.darknessLevel ?? sd.darkness ?? 0;
+
+    // Since 0.8.5 global illumination is bright light, and before it's configured by the scene's flag or the setting
+    if (isNewerVersion(game.data.version, "0.8.4"))
+        return computeAmbientLightLevel(darknessLevel, sd.globalLight, sd.globalLightThreshold, "bright");
+
+    let illumination = canvas.scene.getFlag("perfect-vision", "globalLight") ?? "default";
+
+    if (illumination === "default")
+        illumination = game.settings.get("perfect-vision", "globalLight");
+
+    // The global illumination light source isn't added if the threshold is exceeded, and a threshold of 0 means that there's no threshold
+    return computeAmbientLightLevel(darknessLevel, sd.globalLight, sd.globalLightThreshold || null, illumination);
+}
+
+// Computes the illumination from the light sources and the scene's global illumination, which doesn't require any vision source
+export function getIlluminationAt(point) {
+    return lightLevels[getLightLevel(point.x, point.y).level];
+}
+
+export function getIlluminationAtGridCell(row, col) {
+    const [x0, y0] = canvas.grid.grid.getPixelsFromGridPosition(row, col);
+    const [x, y] = canvas.grid.getCenter(x0 + 1, y0 + 1);
+
+    return getIlluminationAt({ x, y });
+}
+
+export function getVisionAt(token, point) {
+    const source = token.vision;
+
+    if (!source || !canvas.sight.sources.has(token.sourceId ?? `Token.${token.id}`) || !source.los)
+        return null;
+
+    return getVisionOfSource(source, point.x, point.y);
+}
+
+function getVisionOfSource(source, x, y, light = null) {
+    const source_ = extend(source);
+
+    if (!source.los.contains(x, y))
+        return { visible: false, color: false, mono: false, light: null };
+
+    const { level: lightLevel, magicalDarkness } = light ?? getLightLevel(x, y);
+
+    let visible;
+    let color;
+    let level;
+
+    if (magicalDarkness) {
+        // Only senses that ignore magical darkness and Devil's Sight work inside of magical darkness
+        visible = !!source_.fovPiercingMono?.contains(x, y);
+        color = visible && !!source_.fovPiercingColor?.contains(x, y);
+        level = 0;
+    } else {
+        visible = lightLevel > 0 || source.fov.contains(x, y);
+        color = visible && (lightLevel > 0 || !!source_.fovColor?.contains(x, y));
+        level = lightLevel;
+    }
+
+    if (!visible)
+        return { visible: false, color: false, mono: false, light: null };
+
+    // Dim and bright vision act like light sources in darkness
+    if ((!magicalDarkness || source_.fovPiercingMono?.contains(x, y)) && source_.fov?.contains(x, y)) {
+        const distance = Math.hypot(x - source.x, y - source.y);
+
+        if (distance <= Math.abs(source.bright)) {
+            level = 2;
+        } else if (distance <= Math.abs(source.dim)) {
+            level = Math.max(level, 1);
+        }
+    }
+
+    if (level === 1 && source_.fovDimToBright?.contains(x, y))
+        level = 2;
+
+    return { visible, color, mono: !color, light: lightLevels[level] };
+}
+
+// Returns true if the token should be hidden because no vision source sees it well enough, and marks it as obscured if it's seen in dim light or darkness only
+export function isHiddenInDarkness(token) {
+    const token_ = extend(token);
+
+    token_.obscured = false;
+
+    const hideTokensInDarkness = game.settings.get("perfect-vision", "hideTokensInDarkness");
+    const tokensInDimLight = game.settings.get("perfect-vision", "tokensInDimLight");
+
+    if (!hideTokensInDarkness && tokensInDimLight === "visible")
+        return false;
+
+    // Without vision sources every token is visible as in core
+    if (canvas.sight.sources.size === 0)
+        return false;
+
+    if (token._controlled || canvas.sight.sources.has(token.sourceId ?? `Token.${token.id}`))
+        return false;
+
+    const { x, y } = token.center;
+    const t = Math.min(token.w, token.h) / 4;
+    const points = [[x, y], [x - t, y], [x + t, y], [x, y - t], [x, y + t]].map(([x, y]) => ({ x, y, light: getLightLevel(x, y) }));
+
+    let level = -1;
+
+    for (const source of canvas.sight.sources) {
+        if (!source.active || !source.los) continue;
+
+        for (const { x, y, light } of points) {
+            const vision = getVisionOfSource(source, x, y, light);
+
+            if (vision.visible)
+                level = Math.max(level, lightLevels.indexOf(vision.light));
+        }
+
+        if (level === 2)
+            break;
+    }
+
+    if (level < 0)
+        return hideTokensInDarkness;
+
+    if (level < 2) {
+        if (tokensInDimLight === "hidden")
+            return true;
+
+        token_.obscured = tokensInDimLight === "obscured";
+    }
+
+    return false;
+}
+
+// Obscured tokens are rendered with the translucent icon of hidden tokens, and otherwise the icon's alpha is the one Token#refresh sets
+function refreshObscured(token) {
+    if (!token.icon)
+        return;
+
+    const obscured = !!extend(token).obscured && token.visible && canvas.sight.tokenVision;
+
+    token.icon.alpha = token.data.hidden || obscured ? 0.5 : 1.0;
+}
+
+function refresh() {
+    if (!canvas?.ready)
+        return;
+
+    if (isNewerVersion(game.data.version, "0.8.1")) {
+        canvas.perception.schedule({
+            sight: { refresh: true }
+        });
+    } else {
+        canvas.sight.refresh();
+    }
+}
+
+Hooks.once("init", () => {
+    game.settings.register("perfect-vision", "hideTokensInDarkness", {
+        name: "Hide Tokens in Darkness",
+        hint: "If enabled, tokens in areas that are neither illuminated by light sources nor revealed by the vision of any of your tokens are not visible, even if they are within line-of-sight.",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false,
+        onChange: () => refresh()
+    });
+
+    game.settings.register("perfect-vision", "tokensInDimLight", {
+        name: "Tokens in Dim Light",
+        hint: "Controls how tokens are rendered that your tokens see in dim light or darkness only. Obscured tokens are translucent.",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: {
+            "visible": "Visible",
+            "obscured": "Obscured",
+            "hidden": "Hidden",
+        },
+        default: "visible",
+        onChange: () => refresh()
+    });
+
+    patch("Token.prototype.refresh", "POST", function (retVal) {
+        refreshObscured(this);
+
+        return retVal;
+    });
+});
+
+// The visibility of the tokens is updated without refreshing them
+Hooks.on("sightRefresh", () => {
+    for (const token of canvas.tokens.placeables) {
+        refreshObscured(token);
+    }
+});
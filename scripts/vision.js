@@ -1,8 +1,14 @@
+import { getActorSenses } from "./actor.js";
+import { getEffectiveDocument } from "./effects.js";
 import { extend } from "./extend.js";
-import { Filter as MaskFilter } from "./mask.js";
+import { getGradientColors, parseGradient } from "./gradient.js";
+import { Filter as MaskFilter, monoVisionStyles } from "./mask.js";
 import { patch } from "./patch.js";
-import { presets } from "./presets.js";
-import { grayscale } from "./utils.js";
+import { getPresetChoices, getVisionBands, presets } from "./presets.js";
+import { computeSenseRadii, computeVisionRadii } from "./radii.js";
+import { getScheduledLighting } from "./schedule.js";
+import { getSenseRules, senses } from "./senses.js";
+import { grayscale, unionStarShaped } from "./utils.js";
 
 const improvedGMVisionFilter = new MaskFilter("step(1.0, 1.0 - r)");
 const visionFilter = new MaskFilter("step(1.0, g)");
@@ -38,7 +44,7 @@ function linkUniforms(shader1, shader2, except) {
     });
 }
 
-function computeFov(source, radius, fovCache = null) {
+export function computeFov(source, radius, fovCache = null) {
     if (fovCache && fovCache[radius])
         return fovCache[radius];
 
@@ -69,18 +75,45 @@ function computeFov(source, radius, fovCache = null) {
         }
     }
 
-    let fov;
+    const fov = createPolygon(source, radius, fovPoints);
 
+    if (fovCache)
+        fovCache[radius] = fov;
+
+    return fov;
+}
+
+function createPolygon(source, radius, points) {
     if (isNewerVersion("0.8.0", game.data.version)) {
-        fov = new PIXI.Polygon(...fovPoints);
+        return new PIXI.Polygon(...points);
     } else {
-        fov = new SourcePolygon(source.x, source.y, radius, ...fovPoints);
+        return new SourcePolygon(source.x, source.y, radius, ...points);
     }
+}
 
-    if (fovCache)
-        fovCache[radius] = fov;
+function computeCircle(source, radius) {
+    const points = [];
+    const n = Math.clamped(Math.ceil(radius * Math.PI / 10), 32, 256);
 
-    return fov;
+    for (let i = 0; i < n; i++) {
+        const a = 2 * Math.PI * i / n;
+        points.push(source.x + Math.cos(a) * radius, source.y + Math.sin(a) * radius);
+    }
+
+    return createPolygon(source, radius, points);
+}
+
+function unionFov(source, ...fovs) {
+    fovs = fovs.filter(fov => fov);
+
+    if (fovs.length <= 1)
+        return fovs[0] ?? null;
+
+    return createPolygon(
+        source,
+        Math.max(...fovs.map(fov => fov.radius ?? 0)),
+        unionStarShaped(source.x, source.y, ...fovs.map(fov => fov.points))
+    );
 }
 
 var refreshHookID = null;
@@ -162,87 +195,72 @@ Hooks.once("init", () => {
         }
     });
 
-    game.settings.register("perfect-vision", "visionRules", {
-        name: "Vision Rules",
-        hint: isNewerVersion(game.data.version, "0.8.4")
-            ? "Choose one of the presets, or select Custom and set your own rules. It is also possible to set rules for each token individually. You can find these token-specific settings in the token configuration under the Vision tab. Dim (Bright) Vision in Darkness controls what dim (bright) vision looks like in darkness, i.e., in areas that are not illuminated by light sources. Dim (Bright) Vision in Dim Light controls how dim (bright) vision interacts with dim light, i.e., if dim light becomes bright light or not. Scene Darkness is the level of darkness in areas without light sources. Total Darkness means no vision at all."
-            : "Choose one of the presets, or select Custom and set your own rules. It is also possible to set rules for each token individually. You can find these token-specific settings in the token configuration under the Vision tab. Dim (Bright) Vision in Darkness controls what dim (bright) vision looks like in darkness, i.e., in areas that are not illuminated by light sources. Dim (Bright) Vision in Dim Light controls how dim (bright) vision interacts with dim light, i.e., if dim light becomes bright light or not. Scene Darkness is the level of darkness in areas without light sources. It's the darkness controlled by Darkness Level in the scene configuration. Total Darkness means no vision at all. Select an option with monochrome to create vision without color in darkness. It's grayscale vision as long as the Monochrome Vision Color is white. If the scene's Darkness Level is 0, it looks the same as it would with non-monochrome vision. But as the Darkness Level increases the saturation decreases accordingly.",
-        scope: "world",
+    game.settings.register("perfect-vision", "improvedGMVisionStrength", {
+        name: "Improved GM Vision: Strength",
+        hint: "Controls how much the visibility in darkness is improved for the GM if Improved GM Vision is enabled.",
+        scope: "client",
         config: true,
-        type: String,
-        choices: {
-            "custom": "Custom",
-            "fvtt": "Foundry VTT",
-            "dnd35e": "Dungeons & Dragons 3.5e",
-            "dnd5e": "Dungeons & Dragons 5e",
-            "pf1e": "Pathfinder 1e",
-            "pf2e": "Pathfinder 2e",
+        type: Number,
+        range: {
+            min: 0,
+            max: 1,
+            step: 0.05
         },
-        default: presets["default"]._id,
-        onChange: () => refresh()
+        default: 1,
+        onChange: () => {
+            if (game.user.isGM)
+                refresh({ sight: false, initialize: false });
+        }
     });
 
-    game.settings.register("perfect-vision", "dimVisionInDarkness", {
-        name: "Dim Vision in Darkness",
-        scope: "world",
+    game.settings.register("perfect-vision", "improvedGMVisionTint", {
+        name: "Improved GM Vision: Tint",
+        hint: "The color of unilluminated areas if Improved GM Vision is enabled. If empty, the color is derived from the scene's darkness color.",
+        scope: "client",
         config: true,
         type: String,
-        choices: {
-            "bright": "Bright Light",
-            "bright_mono": "Bright Light (monochrome)",
-            "dim": "Dim Light",
-            "dim_mono": "Dim Light (monochrome)",
-            "scene": "Scene Darkness",
-            "scene_mono": "Scene Darkness (monochrome)",
-            "darkness": "Total Darkness",
-        },
-        default: presets["default"].dimVisionInDarkness,
-        onChange: () => refresh()
+        default: "",
+        onChange: () => {
+            if (game.user.isGM)
+                refresh({ sight: false, initialize: false });
+        }
     });
 
-    game.settings.register("perfect-vision", "dimVisionInDimLight", {
-        name: "Dim Vision in Dim Light",
+    game.settings.register("perfect-vision", "visionRules", {
+        name: "Vision Rules",
+        hint: isNewerVersion(game.data.version, "0.8.4")
+            ? "Choose one of the presets, or select Custom and set your own rules. It is also possible to set rules for each token individually. You can find these token-specific settings in the token configuration under the Vision tab. The rules consist of bands. The radius of each band is the token's dim or bright vision, a fixed distance, or unlimited. In Darkness controls what the band looks like in areas that are not illuminated by light sources. Scene Darkness is the level of darkness in areas without light sources. Total Darkness means no vision at all. If Dim Light to Bright is checked, dim light becomes bright light within the band. Where bands overlap, the better vision applies."
+            : "Choose one of the presets, or select Custom and set your own rules. It is also possible to set rules for each token individually. You can find these token-specific settings in the token configuration under the Vision tab. The rules consist of bands. The radius of each band is the token's dim or bright vision, a fixed distance, or unlimited. In Darkness controls what the band looks like in areas that are not illuminated by light sources. Scene Darkness is the level of darkness in areas without light sources. It's the darkness controlled by Darkness Level in the scene configuration. Total Darkness means no vision at all. If Dim Light to Bright is checked, dim light becomes bright light within the band. Check Monochrome to create vision without color in darkness. It's grayscale vision as long as the Monochrome Vision Color is white. If the scene's Darkness Level is 0, it looks the same as it would with non-monochrome vision. But as the Darkness Level increases the saturation decreases accordingly. Where bands overlap, the better vision applies.",
         scope: "world",
         config: true,
         type: String,
         choices: {
-            "bright": "Bright Light",
-            "dim": "Dim Light",
+            "custom": "Custom",
+            ...getPresetChoices()
         },
-        default: presets["default"].dimVisionInDimLight,
+        default: presets["default"]._id,
         onChange: () => refresh()
     });
 
-    game.settings.register("perfect-vision", "brightVisionInDarkness", {
-        name: "Bright Vision in Darkness",
+    game.settings.register("perfect-vision", "visionBands", {
+        name: "Custom Vision Rules",
+        hint: "The bands of the Custom vision rules.",
         scope: "world",
         config: true,
         type: String,
-        choices: {
-            "bright": "Bright Light",
-            "bright_mono": "Bright Light (monochrome)",
-            "dim": "Dim Light",
-            "dim_mono": "Dim Light (monochrome)",
-            "scene": "Scene Darkness",
-            "scene_mono": "Scene Darkness (monochrome)",
-            "darkness": "Total Darkness",
-        },
-        default: presets["default"].brightVisionInDarkness,
+        default: "",
         onChange: () => refresh()
     });
 
-    game.settings.register("perfect-vision", "brightVisionInDimLight", {
-        name: "Bright Vision in Dim Light",
-        scope: "world",
-        config: true,
-        type: String,
-        choices: {
-            "bright": "Bright Light",
-            "dim": "Dim Light",
-        },
-        default: presets["default"].brightVisionInDimLight,
-        onChange: () => refresh()
-    });
+    // The custom rules of earlier versions are used as long as no bands are set
+    for (const key of ["dimVisionInDarkness", "dimVisionInDimLight", "brightVisionInDarkness", "brightVisionInDimLight"]) {
+        game.settings.register("perfect-vision", key, {
+            scope: "world",
+            config: false,
+            type: String,
+            onChange: () => refresh()
+        });
+    }
 
     game.settings.register("perfect-vision", "monoVisionColor", {
         name: "Monochrome Vision Color",
@@ -256,6 +274,17 @@ Hooks.once("init", () => {
         onChange: () => refresh()
     });
 
+    game.settings.register("perfect-vision", "monoVisionStyle", {
+        name: "Monochrome Vision Style",
+        hint: "Tinted monochrome vision uses the Monochrome Vision Color. Grayscale vision ignores it. Thermal vision shows brightness in false colors, Night Vision Goggles amplify the light and add grain and a vignette, and Sepia looks like an old photograph. You can also choose a style for each token individually in the token configuration under the Vision tab.",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: monoVisionStyles,
+        default: "tinted",
+        onChange: () => refresh()
+    });
+
     patch("PointSource.prototype._createContainer", "POST", function (c, shaderCls) {
         if (shaderCls === StandardIlluminationShader || shaderCls.prototype instanceof StandardIlluminationShader) {
             const c_ = extend(c);
@@ -291,13 +320,6 @@ Hooks.once("init", () => {
         return c;
     });
 
-    function getLightRadius(token, units) {
-        if (units === 0) return 0;
-        const u = Math.abs(units);
-        const hw = (token.w / 2);
-        return (((u / canvas.dimensions.distance) * canvas.dimensions.size) + hw) * Math.sign(units);
-    }
-
     patch("PointSource.prototype.initialize", "WRAPPER", function (wrapped, data) {
         const this_ = extend(this);
 
@@ -313,12 +335,6 @@ Hooks.once("init", () => {
 
         const token = this.object ?? this_.token;
         const scene = token.scene ?? token._original?.scene;
-        const minR = Math.min(token.w, token.h) * 0.5;
-
-        let dimVisionInDarkness;
-        let dimVisionInDimLight;
-        let brightVisionInDarkness;
-        let brightVisionInDimLight;
 
         let document;
 
@@ -328,44 +344,15 @@ Hooks.once("init", () => {
             document = token;
         }
 
-        let visionRules = document.getFlag("perfect-vision", "visionRules") || "default";
-
-        if (visionRules === "custom") {
-            dimVisionInDarkness = document.getFlag("perfect-vision", "dimVisionInDarkness");
-            dimVisionInDimLight = document.getFlag("perfect-vision", "dimVisionInDimLight");
-            brightVisionInDarkness = document.getFlag("perfect-vision", "brightVisionInDarkness");
-            brightVisionInDimLight = document.getFlag("perfect-vision", "brightVisionInDimLight");
-        } else {
-            if (visionRules === "default") {
-                visionRules = game.settings.get("perfect-vision", "visionRules");
-            }
-
-            if (visionRules !== "custom") {
-                dimVisionInDarkness = presets[visionRules].dimVisionInDarkness;
-                dimVisionInDimLight = presets[visionRules].dimVisionInDimLight;
-                brightVisionInDarkness = presets[visionRules].brightVisionInDarkness;
-                brightVisionInDimLight = presets[visionRules].brightVisionInDimLight;
-            }
-        }
+        // Status effects and Active Effects may override the token's flags
+        document = getEffectiveDocument(token, document, scene);
 
-        dimVisionInDarkness = dimVisionInDarkness || game.settings.get("perfect-vision", "dimVisionInDarkness");
-        dimVisionInDimLight = dimVisionInDimLight || game.settings.get("perfect-vision", "dimVisionInDimLight");
-        brightVisionInDarkness = brightVisionInDarkness || game.settings.get("perfect-vision", "brightVisionInDarkness");
-        brightVisionInDimLight = brightVisionInDimLight || game.settings.get("perfect-vision", "brightVisionInDimLight");
+        const bands = getVisionBands(document, scene);
 
         const d = canvas.dimensions;
         const maxR = d.maxR ?? Math.hypot(d.sceneWidth, d.sceneHeight);
 
-        let dim = getLightRadius(token, token.data.dimSight);
-        let bright = getLightRadius(token, token.data.brightSight);
-
-        const sign = Math.min(dim, bright) < 0 ? -1 : +1;
-
-        dim = Math.abs(dim);
-        bright = Math.abs(bright);
-
-        dim = Math.min(dim, maxR);
-        bright = Math.min(bright, maxR);
+        const actorSenses = getActorSenses(token);
 
         let sightLimit = parseFloat(document.getFlag("perfect-vision", "sightLimit"));
 
@@ -373,45 +360,40 @@ Hooks.once("init", () => {
             sightLimit = parseFloat(scene?.getFlag("perfect-vision", "sightLimit"));
         }
 
-        if (!Number.isNaN(sightLimit)) {
-            sightLimit = Math.max(getLightRadius(token, Math.abs(sightLimit)), minR);
-            dim = Math.min(dim, sightLimit);
-            bright = Math.min(bright, sightLimit);
-        }
+        const grid = { gridDistance: d.distance, gridSize: d.size, tokenWidth: token.w, tokenHeight: token.h };
+        const radii = computeVisionRadii(bands, {
+            ...grid,
+            dimSight: actorSenses?.dimSight ?? token.data.dimSight,
+            brightSight: actorSenses?.brightSight ?? token.data.brightSight,
+            sightLimit,
+            maxR
+        });
+        const { visionRadius, visionRadiusColor, visionRadiusDimToBright, minR, sign } = radii;
 
-        data.dim = sign * Math.max(
-            dimVisionInDarkness === "dim" || dimVisionInDarkness === "dim_mono" ? dim : 0,
-            brightVisionInDarkness === "dim" || brightVisionInDarkness === "dim_mono" ? bright : 0
-        );
-        data.bright = sign * Math.max(
-            dimVisionInDarkness === "bright" || dimVisionInDarkness === "bright_mono" ? dim : 0,
-            brightVisionInDarkness === "bright" || brightVisionInDarkness === "bright_mono" ? bright : 0
-        );
+        sightLimit = radii.sightLimit;
+
+        data.dim = radii.dim;
+        data.bright = radii.bright;
+
+        const senseRadii = computeSenseRadii(Object.fromEntries(Object.keys(senses).map(sense =>
+            [sense, actorSenses?.[sense] ?? document.getFlag("perfect-vision", sense)])), { ...grid, maxR });
+
+        if (sign > 0) {
+            data.bright = Math.max(data.bright, ...Object.entries(senseRadii).map(([sense, radius]) =>
+                !senses[sense].tokensOnly && getSenseRules(sense).darkness !== "none" ? radius : 0));
+        }
 
-        const visionRadius = Math.max(
-            dimVisionInDarkness === "scene" || dimVisionInDarkness === "scene_mono" ? dim : 0,
-            dimVisionInDarkness === "dim" || dimVisionInDarkness === "dim_mono" ? dim : 0,
-            dimVisionInDarkness === "bright" || dimVisionInDarkness === "bright_mono" ? dim : 0,
-            brightVisionInDarkness === "scene" || brightVisionInDarkness === "scene_mono" ? bright : 0,
-            brightVisionInDarkness === "dim" || brightVisionInDarkness === "dim_mono" ? bright : 0,
-            brightVisionInDarkness === "bright" || brightVisionInDarkness === "bright_mono" ? bright : 0
-        );
-        const visionRadiusColor = Math.max(
-            dimVisionInDarkness === "scene" ? dim : 0,
-            dimVisionInDarkness === "dim" ? dim : 0,
-            dimVisionInDarkness === "bright" ? dim : 0,
-            brightVisionInDarkness === "scene" ? bright : 0,
-            brightVisionInDarkness === "dim" ? bright : 0,
-            brightVisionInDarkness === "bright" ? bright : 0
-        );
-        const visionRadiusDimToBright = Math.max(
-            dimVisionInDimLight === "bright" ? dim : 0,
-            brightVisionInDimLight === "bright" ? bright : 0
-        );
         const monoVisionColor = hexToRGB(colorStringToHex(
             document.getFlag("perfect-vision", "monoVisionColor") || game.settings.get("perfect-vision", "monoVisionColor") || "#ffffff"
         ));
 
+        let monoVisionStyle = document.getFlag("perfect-vision", "monoVisionStyle");
+
+        if (!(monoVisionStyle in monoVisionStyles))
+            monoVisionStyle = game.settings.get("perfect-vision", "monoVisionStyle");
+
+        monoVisionStyle = Math.max(Object.keys(monoVisionStyles).indexOf(monoVisionStyle), 0);
+
         this_.radius = Math.max(Math.abs(data.dim), Math.abs(data.bright));
 
         data.dim = data.dim === 0 && data.bright === 0 ? minR : data.dim;
@@ -439,13 +421,59 @@ Hooks.once("init", () => {
         else
             this_.fovDimToBright = null;
 
+        const senseFovs = [];
+
+        for (const [sense, radius] of Object.entries(senseRadii)) {
+            if (!(radius > 0) || senses[sense].tokensOnly || token._original)
+                continue;
+
+            const rules = getSenseRules(sense);
+
+            senseFovs.push({
+                fov: rules.walls === "ignored" ? computeCircle(this, radius) : computeFov(this, radius, fovCache),
+                mono: senses[sense].mono,
+                darkness: rules.darkness
+            });
+        }
+
+        this_.tremorsense = !token._original ? senseRadii.tremorsense : 0;
+
+        if (!Number.isNaN(sightLimit))
+            this.los = computeFov(this, sightLimit, fovCache);
+
+        // Senses are not limited by the sight limit and may ignore walls
+        if (senseFovs.length !== 0) {
+            this.los = unionFov(this, this.los, ...senseFovs.map(s => s.fov));
+            this.fov = unionFov(this, this.fov, ...senseFovs.map(s => s.fov));
+
+            // Senses that require light don't reveal unlit areas
+            const darknessFovs = senseFovs.filter(s => s.darkness !== "none");
+
+            this_.fov = unionFov(this, this_.fov, ...darknessFovs.map(s => s.fov));
+            this_.fovMono = unionFov(this, this_.fovMono, ...darknessFovs.map(s => s.fov));
+            this_.fovColor = unionFov(this, this_.fovColor, ...darknessFovs.filter(s => !s.mono).map(s => s.fov));
+        }
+
+        // Only Devil's Sight and senses that ignore magical darkness work inside of magical darkness
+        if (document.getFlag("perfect-vision", "piercesMagicalDarkness")) {
+            this_.fovPiercingMono = this_.fovMono;
+            this_.fovPiercingColor = this_.fovColor;
+        } else {
+            const piercingFovs = senseFovs.filter(s => s.darkness === "magical");
+
+            this_.fovPiercingMono = unionFov(this, ...piercingFovs.map(s => s.fov));
+            this_.fovPiercingColor = unionFov(this, ...piercingFovs.filter(s => !s.mono).map(s => s.fov));
+        }
+
         if (monoVisionColor && this_.fovMono)
             this_.monoVisionColor = monoVisionColor;
         else
             this_.monoVisionColor = null;
 
-        if (!Number.isNaN(sightLimit))
-            this.los = computeFov(this, sightLimit, fovCache);
+        if (this_.fovMono)
+            this_.monoVisionStyle = monoVisionStyle;
+        else
+            this_.monoVisionStyle = null;
 
         return retVal;
     });
@@ -573,6 +601,19 @@ Hooks.once("init", () => {
 
         const channels = wrapped(...args);
 
+        // The background is the color of the gradient instead of the interpolation of the daylight and darkness color
+        if (ilm_.gradientColor != null) {
+            CONFIG.Canvas.daylightColor = ilm_.gradientColor;
+            CONFIG.Canvas.darknessColor = ilm_.gradientColor;
+
+            const { background, dim } = wrapped(...args);
+
+            channels.background = background;
+
+            if (dim)
+                channels.dim = dim;
+        }
+
         CONFIG.Canvas.daylightColor = daylightColor;
         CONFIG.Canvas.darknessColor = darknessColor;
 
@@ -735,6 +776,17 @@ Hooks.once("init", () => {
         const ilm = this.illumination;
         const ilm_ = extend(ilm);
 
+        const scheduled = getScheduledLighting(canvas.scene);
+
+        if (scheduled) {
+            args[0] = scheduled.darkness;
+        } else if (extend(this).scheduled) {
+            // Restore the scene's darkness level after the day/night cycle was disabled
+            args[0] = args[0] ?? canvas.scene.data.darkness;
+        }
+
+        extend(this).scheduled = !!scheduled;
+
         if (!isNewerVersion(game.data.version, "0.8.4")) {
             const darknessLevel = Math.clamped(args[0] ?? this.darknessLevel, 0, 1);
             const sd = canvas.scene.data;
@@ -762,6 +814,9 @@ Hooks.once("init", () => {
 
             let saturation = this_.saturation;
 
+            if (saturation === undefined && typeof scheduled?.saturation === "number")
+                saturation = scheduled.saturation;
+
             if (saturation === undefined) {
                 if (canvas.scene.getFlag("perfect-vision", "forceSaturation")) {
                     saturation = canvas.scene.getFlag("perfect-vision", "saturation") ?? 0;
@@ -775,8 +830,8 @@ Hooks.once("init", () => {
             this_.saturationLevel = saturation = Math.clamped(saturation, 0, 1);
         }
 
-        let daylightColor = canvas.scene.getFlag("perfect-vision", "daylightColor");
-        let darknessColor = canvas.scene.getFlag("perfect-vision", "darknessColor");
+        let daylightColor = scheduled?.daylightColor || canvas.scene.getFlag("perfect-vision", "daylightColor");
+        let darknessColor = scheduled?.darknessColor || canvas.scene.getFlag("perfect-vision", "darknessColor");
 
         if (daylightColor)
             daylightColor = colorStringToHex(daylightColor);
@@ -788,6 +843,14 @@ Hooks.once("init", () => {
         else
             darknessColor = CONFIG.Canvas.darknessColor;
 
+        const gradient = parseGradient(extend(this).colorGradient ?? canvas.scene.getFlag("perfect-vision", "colorGradient"));
+
+        let gradientColor = null;
+
+        if (gradient) {
+            ({ color: gradientColor, daylightColor, darknessColor } = getGradientColors(gradient, Math.clamped(args[0] ?? this.darknessLevel, 0, 1)));
+        }
+
         const sanitize = hex => {
             const x = [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff].map(x => Math.max(x, 0xf));
             return (x[0] << 16) + (x[1] << 8) + x[2];
@@ -796,13 +859,17 @@ Hooks.once("init", () => {
         daylightColor = sanitize(daylightColor);
         darknessColor = sanitize(darknessColor);
 
-        if (daylightColor !== ilm_.daylightColor || darknessColor !== ilm_.darknessColor) {
+        if (gradientColor !== null)
+            gradientColor = sanitize(gradientColor);
+
+        if (daylightColor !== ilm_.daylightColor || darknessColor !== ilm_.darknessColor || gradientColor !== ilm_.gradientColor) {
             this.channels = null;
             ilm_.updateChannels = true;
         }
 
         ilm_.daylightColor = daylightColor;
         ilm_.darknessColor = darknessColor;
+        ilm_.gradientColor = gradientColor;
 
         const retVal = wrapped(...args);
 
@@ -903,8 +970,16 @@ Hooks.on("lightingRefresh", () => {
     const ilm = canvas.lighting.illumination;
     const ilm_ = extend(ilm);
 
-    const s = 1 / Math.max(...channels.background.rgb);
-    ilm_.improvedGMVision.tint = rgbToHex(channels.background.rgb.map(c => c * s));
+    const tint = game.settings.get("perfect-vision", "improvedGMVisionTint");
+
+    if (tint) {
+        ilm_.improvedGMVision.tint = colorStringToHex(tint);
+    } else {
+        const s = 1 / Math.max(...channels.background.rgb);
+        ilm_.improvedGMVision.tint = rgbToHex(channels.background.rgb.map(c => c * s));
+    }
+
+    ilm_.improvedGMVision.alpha = Math.clamped(game.settings.get("perfect-vision", "improvedGMVisionStrength") ?? 1, 0, 1);
     ilm_.improvedGMVision.visible = game.user.isGM && game.settings.get("perfect-vision", "improvedGMVision");
 
     ilm_.vision.tint = rgbToHex(grayscale(channels.background.rgb));
@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+// The adapters are registered when the module is loaded, which only needs the hooks of Foundry VTT
+globalThis.Hooks = { on() { }, once() { } };
+globalThis.game = { system: { id: null } };
+
+const { getSensesOfActor } = await import("../scripts/actor.js");
+
+function getSenses(system, data) {
+    game.system.id = system;
+
+    return getSensesOfActor({ data: { data } });
+}
+
+// Only the senses that the adapter returned
+function pick(senses) {
+    return Object.fromEntries(Object.entries(senses).filter(([, value]) => value !== undefined));
+}
+
+describe("pf2e", () => {
+    const senses = (...senses) => getSenses("pf2e", { traits: { senses } });
+
+    test("reads the ranges of the senses", () => {
+        assert.deepEqual(pick(senses({ type: "lowLightVision", value: "30" }, { type: "darkvision", value: "60" }, { type: "tremorsense", value: "15" })),
+            { dimSight: 30, brightSight: 60, tremorsense: 15 });
+    });
+
+    test("low-light vision and darkvision without a range are unlimited", () => {
+        assert.deepEqual(pick(senses({ type: "lowLightVision", value: "" }, { type: "darkvision", value: "" })),
+            { dimSight: Infinity, brightSight: Infinity, tremorsense: 0 });
+        assert.deepEqual(pick(senses({ type: "greaterDarkvision" })),
+            { dimSight: 0, brightSight: Infinity, tremorsense: 0 });
+    });
+
+    test("tremorsense without a range is ignored", () => {
+        assert.deepEqual(pick(senses({ type: "tremorsense", value: "" })),
+            { dimSight: 0, brightSight: 0, tremorsense: 0 });
+    });
+});
+
+describe("sfrpg", () => {
+    const senses = senses => getSenses("sfrpg", { traits: { senses } });
+
+    test("reads the ranges of the senses", () => {
+        assert.deepEqual(pick(senses("darkvision 30 ft., low-light vision, blindsight (vibration) 10 ft.")),
+            { dimSight: Infinity, brightSight: 30, blindsight: 10 });
+    });
+
+    test("darkvision without a range has a range of 60 feet", () => {
+        assert.deepEqual(pick(senses("Darkvision")),
+            { dimSight: 0, brightSight: 60, blindsight: 0 });
+        assert.deepEqual(pick(senses("darkvision, low-light vision")),
+            { dimSight: Infinity, brightSight: 60, blindsight: 0 });
+    });
+
+    test("senses without vision don't have any range", () => {
+        assert.deepEqual(pick(senses("")),
+            { dimSight: 0, brightSight: 0, blindsight: 0 });
+    });
+});
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+// The color functions of Foundry VTT that the gradient uses
+globalThis.hexToRGB = hex => [((hex >> 16) & 0xFF) / 255, ((hex >> 8) & 0xFF) / 255, (hex & 0xFF) / 255];
+globalThis.rgbToHex = rgb => ((rgb[0] * 255) << 16) + ((rgb[1] * 255) << 8) + (rgb[2] * 255 | 0);
+globalThis.colorStringToHex = color => parseInt(color.slice(1), 16);
+
+const { getGradientColor, getGradientColors, parseGradient } = await import("../scripts/gradient.js");
+
+const stops = parseGradient([
+    { level: 0, color: "#ffffff" },
+    { level: 0.4, color: "#ff8c1a" },
+    { level: 0.7, color: "#1a2b80" },
+    { level: 1, color: "#050510" }
+]);
+
+describe("parseGradient", () => {
+    test("sorts the stops by level", () => {
+        assert.deepEqual(parseGradient(`[{"level":1,"color":"#000000"},{"level":0,"color":"#FFFFFF"}]`), [
+            { level: 0, color: "#ffffff" },
+            { level: 1, color: "#000000" }
+        ]);
+    });
+
+    test("rejects invalid gradients", () => {
+        assert.equal(parseGradient(""), null);
+        assert.equal(parseGradient("[]"), null);
+        assert.equal(parseGradient("{"), null);
+        assert.equal(parseGradient([{ level: 2, color: "#ffffff" }]), null);
+        assert.equal(parseGradient([{ level: 0, color: "white" }]), null);
+    });
+});
+
+describe("getGradientColor", () => {
+    test("every stop is reproduced exactly at its own level", () => {
+        for (const stop of stops)
+            assert.equal(getGradientColor(stops, stop.level), colorStringToHex(stop.color), `stop at ${stop.level}`);
+    });
+
+    test("interpolates between the stops", () => {
+        assert.equal(getGradientColor(stops, 0.2), rgbToHex([1, (1 + 0x8c / 255) / 2, (1 + 0x1a / 255) / 2]));
+    });
+
+    test("the first and last stop extend to the ends", () => {
+        const inner = parseGradient([{ level: 0.25, color: "#102030" }, { level: 0.75, color: "#405060" }]);
+
+        assert.equal(getGradientColor(inner, 0), 0x102030);
+        assert.equal(getGradientColor(inner, 1), 0x405060);
+    });
+});
+
+describe("getGradientColors", () => {
+    test("the color is the color of the gradient at the darkness level", () => {
+        for (const stop of stops)
+            assert.equal(getGradientColors(stops, stop.level).color, colorStringToHex(stop.color), `stop at ${stop.level}`);
+    });
+
+    test("the daylight and darkness colors are the ends of the gradient", () => {
+        assert.deepEqual(getGradientColors(stops, 0.7), { color: 0x1a2b80, daylightColor: 0xffffff, darknessColor: 0x050510 });
+    });
+});
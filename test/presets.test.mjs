@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { computeVisionRadii } from "../scripts/radii.js";
+
+// The presets are registered when the module is loaded, which only needs the hooks of Foundry VTT
+globalThis.Hooks = { on() { }, once() { } };
+
+const { convertLegacyRules, presets } = await import("../scripts/presets.js");
+
+// A token of one grid square on a grid of 100 pixels per 5 units, with 60 units dim vision and 30 units bright vision
+const token = { gridDistance: 5, gridSize: 100, tokenWidth: 100, tokenHeight: 100, dimSight: 60, brightSight: 30, maxR: 10000 };
+
+const dim = 1250;
+const bright = 650;
+
+const expected = {
+    fvtt: { dim, bright, visionRadius: dim, visionRadiusColor: dim, visionRadiusDimToBright: bright },
+    dnd35e: { dim: 0, bright, visionRadius: bright, visionRadiusColor: 0, visionRadiusDimToBright: 0 },
+    dnd5e: { dim, bright, visionRadius: dim, visionRadiusColor: bright, visionRadiusDimToBright: dim },
+    pf1e: { dim: 0, bright, visionRadius: bright, visionRadiusColor: 0, visionRadiusDimToBright: 0 },
+    pf2e: { dim: 0, bright, visionRadius: bright, visionRadiusColor: 0, visionRadiusDimToBright: dim },
+    sfrpg: { dim: 0, bright, visionRadius: bright, visionRadiusColor: 0, visionRadiusDimToBright: dim },
+    swade: { dim: 0, bright, visionRadius: bright, visionRadiusColor: bright, visionRadiusDimToBright: dim },
+    ose: { dim: bright, bright: 0, visionRadius: bright, visionRadiusColor: 0, visionRadiusDimToBright: 0 },
+    wfrp4e: { dim: 0, bright, visionRadius: bright, visionRadiusColor: bright, visionRadiusDimToBright: dim },
+    shadowrun: { dim: bright, bright: 0, visionRadius: bright, visionRadiusColor: 0, visionRadiusDimToBright: dim }
+};
+
+function pick({ dim, bright, visionRadius, visionRadiusColor, visionRadiusDimToBright }) {
+    return { dim, bright, visionRadius, visionRadiusColor, visionRadiusDimToBright };
+}
+
+describe("presets", () => {
+    test("every preset is tested", () => {
+        assert.deepEqual(Object.keys(presets).sort(), Object.keys(expected).sort());
+    });
+
+    for (const [id, radii] of Object.entries(expected)) {
+        test(id, () => {
+            assert.deepEqual(pick(computeVisionRadii(presets[id].bands, token)), radii);
+        });
+    }
+});
+
+describe("legacy rules", () => {
+    const inDarknessChoices = ["bright", "bright_mono", "dim", "dim_mono", "scene", "scene_mono", "darkness"];
+    const inDimLightChoices = ["bright", "dim"];
+
+    // The expected radii of a vision with radius r in darkness and dim light
+    const expectVision = (inDarkness, inDimLight, r) => ({
+        dim: inDarkness.startsWith("dim") ? r : 0,
+        bright: inDarkness.startsWith("bright") ? r : 0,
+        visionRadius: inDarkness !== "darkness" ? r : 0,
+        visionRadiusColor: inDarkness !== "darkness" && !inDarkness.endsWith("_mono") ? r : 0,
+        visionRadiusDimToBright: inDimLight === "bright" ? r : 0
+    });
+
+    for (const dimVisionInDarkness of inDarknessChoices) {
+        for (const dimVisionInDimLight of inDimLightChoices) {
+            for (const brightVisionInDarkness of inDarknessChoices) {
+                for (const brightVisionInDimLight of inDimLightChoices) {
+                    const rules = { dimVisionInDarkness, dimVisionInDimLight, brightVisionInDarkness, brightVisionInDimLight };
+
+                    test(JSON.stringify(rules), () => {
+                        const d = expectVision(dimVisionInDarkness, dimVisionInDimLight, dim);
+                        const b = expectVision(brightVisionInDarkness, brightVisionInDimLight, bright);
+                        const radii = Object.fromEntries(Object.keys(d).map(key => [key, Math.max(d[key], b[key])]));
+
+                        assert.deepEqual(pick(computeVisionRadii(convertLegacyRules(rules), token)), radii);
+                    });
+                }
+            }
+        }
+    }
+
+    test("incomplete rules cannot be converted", () => {
+        assert.equal(convertLegacyRules({ dimVisionInDarkness: "dim" }), null);
+        assert.equal(convertLegacyRules(null), null);
+    });
+});
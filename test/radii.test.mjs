@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { computeSenseRadii, computeVisionRadii, getLightRadius } from "../scripts/radii.js";
+
+// A token of one grid square on a grid of 100 pixels per 5 units, with 60 units dim vision and 30 units bright vision
+const grid = { gridDistance: 5, gridSize: 100, tokenWidth: 100, tokenHeight: 100 };
+const token = { ...grid, dimSight: 60, brightSight: 30, sightLimit: undefined, maxR: 10000 };
+
+const dim = 1250;
+const bright = 650;
+
+const radiusChoices = { dim, bright, unlimited: token.maxR, 15: 350 };
+const darknessChoices = ["bright", "dim", "scene", "darkness"];
+
+function pick({ dim, bright, visionRadius, visionRadiusColor, visionRadiusDimToBright }) {
+    return { dim, bright, visionRadius, visionRadiusColor, visionRadiusDimToBright };
+}
+
+// The expected radii of a single band with radius r
+function expectBand(band, r) {
+    return {
+        dim: band.darkness === "dim" ? r : 0,
+        bright: band.darkness === "bright" ? r : 0,
+        visionRadius: band.darkness !== "darkness" ? r : 0,
+        visionRadiusColor: band.darkness !== "darkness" && !band.mono ? r : 0,
+        visionRadiusDimToBright: band.dimToBright ? r : 0
+    };
+}
+
+describe("getLightRadius", () => {
+    test("measures from the center of the token", () => {
+        assert.equal(getLightRadius(0, grid), 0);
+        assert.equal(getLightRadius(5, grid), 150);
+        assert.equal(getLightRadius(-5, grid), -150);
+    });
+});
+
+describe("computeVisionRadii", () => {
+    for (const [radius, r] of Object.entries(radiusChoices)) {
+        for (const darkness of darknessChoices) {
+            for (const dimToBright of [false, true]) {
+                for (const mono of [false, true]) {
+                    const band = { radius: Number(radius) || radius, darkness, dimToBright, mono };
+
+                    test(`band ${JSON.stringify(band)}`, () => {
+                        assert.deepEqual(pick(computeVisionRadii([band], token)), expectBand(band, r));
+                    });
+                }
+            }
+        }
+    }
+
+    test("the radii of several bands are the maximum of the radii of each band", () => {
+        const bands = [
+            { radius: "bright", darkness: "bright", dimToBright: true, mono: false },
+            { radius: "dim", darkness: "dim", dimToBright: false, mono: true },
+            { radius: 15, darkness: "scene", dimToBright: false, mono: false }
+        ];
+
+        assert.deepEqual(pick(computeVisionRadii(bands, token)), {
+            dim,
+            bright,
+            visionRadius: dim,
+            visionRadiusColor: bright,
+            visionRadiusDimToBright: bright
+        });
+    });
+
+    test("no bands", () => {
+        assert.deepEqual(pick(computeVisionRadii([], token)), {
+            dim: 0,
+            bright: 0,
+            visionRadius: 0,
+            visionRadiusColor: 0,
+            visionRadiusDimToBright: 0
+        });
+    });
+
+    test("the sight limit limits every band", () => {
+        const bands = [
+            { radius: "dim", darkness: "dim", dimToBright: false, mono: false },
+            { radius: "unlimited", darkness: "scene", dimToBright: true, mono: true }
+        ];
+        const radii = computeVisionRadii(bands, { ...token, sightLimit: 20 });
+
+        assert.equal(radii.sightLimit, 450);
+        assert.deepEqual(pick(radii), {
+            dim: 450,
+            bright: 0,
+            visionRadius: 450,
+            visionRadiusColor: 450,
+            visionRadiusDimToBright: 450
+        });
+    });
+
+    test("the sight limit is at least half the size of the token", () => {
+        const radii = computeVisionRadii([{ radius: "dim", darkness: "dim", dimToBright: false, mono: false }], { ...token, sightLimit: "0" });
+
+        assert.equal(radii.sightLimit, 50);
+        assert.equal(radii.minR, 50);
+        assert.equal(radii.dim, 50);
+    });
+
+    test("no sight limit", () => {
+        assert.ok(Number.isNaN(computeVisionRadii([], { ...token, sightLimit: "" }).sightLimit));
+    });
+
+    test("the radii are limited by the size of the scene", () => {
+        const radii = computeVisionRadii([{ radius: "dim", darkness: "dim", dimToBright: true, mono: false }], { ...token, maxR: 1000 });
+
+        assert.equal(radii.dim, 1000);
+        assert.equal(radii.visionRadiusDimToBright, 1000);
+    });
+
+    test("negative vision radii keep their sign", () => {
+        const bands = [
+            { radius: "bright", darkness: "bright", dimToBright: false, mono: false },
+            { radius: "dim", darkness: "dim", dimToBright: false, mono: false }
+        ];
+        const radii = computeVisionRadii(bands, { ...token, dimSight: -60 });
+
+        assert.equal(radii.sign, -1);
+        assert.equal(radii.dim, -dim);
+        assert.equal(radii.bright, -bright);
+        assert.equal(radii.visionRadius, dim);
+    });
+});
+
+describe("computeSenseRadii", () => {
+    test("converts the ranges into radii", () => {
+        assert.deepEqual(computeSenseRadii({ blindsight: 10, tremorsense: 0, truesight: "15" }, token), {
+            blindsight: 250,
+            tremorsense: 0,
+            truesight: 350
+        });
+    });
+
+    test("ignores invalid and negative ranges", () => {
+        assert.deepEqual(computeSenseRadii({ blindsight: null, tremorsense: "abc", truesight: -10 }, token), {
+            blindsight: 0,
+            tremorsense: 0,
+            truesight: 0
+        });
+    });
+
+    test("the radii are limited by the size of the scene", () => {
+        assert.deepEqual(computeSenseRadii({ truesight: 1000 }, { ...token, maxR: 500 }), { truesight: 500 });
+    });
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+// The settings are registered when the module is loaded, which only needs the hooks of Foundry VTT
+globalThis.Hooks = { on() { }, once() { } };
+
+const { computeAmbientLightLevel } = await import("../scripts/visibility.js");
+
+const darknessLevels = [0, 0.25, 0.75, 1];
+
+describe("computeAmbientLightLevel", () => {
+    test("is dark without global illumination regardless of the darkness level", () => {
+        for (const darkness of darknessLevels) {
+            assert.equal(computeAmbientLightLevel(darkness, false, null, "bright"), 0);
+        }
+    });
+
+    test("is the level of global illumination at any darkness level without threshold", () => {
+        for (const darkness of darknessLevels) {
+            assert.equal(computeAmbientLightLevel(darkness, true, null, "bright"), 2);
+            assert.equal(computeAmbientLightLevel(darkness, true, null, "dim"), 1);
+        }
+    });
+
+    test("is dark if the darkness level exceeds the threshold", () => {
+        assert.deepEqual(darknessLevels.map(darkness => computeAmbientLightLevel(darkness, true, 0.5, "bright")), [2, 2, 0, 0]);
+        assert.deepEqual(darknessLevels.map(darkness => computeAmbientLightLevel(darkness, true, 0.25, "dim")), [1, 1, 0, 0]);
+        assert.deepEqual(darknessLevels.map(darkness => computeAmbientLightLevel(darkness, true, 1, "bright")), [2, 2, 2, 2]);
+    });
+
+    test("is dark if global illumination is set to Scene Darkness", () => {
+        for (const darkness of darknessLevels) {
+            assert.equal(computeAmbientLightLevel(darkness, true, null, "none"), 0);
+        }
+    });
+});